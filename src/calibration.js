@@ -0,0 +1,97 @@
+// Calibration - Map raw 0-100 confidence to an observed P(up)
+// Isotonic regression (pool adjacent violators) fitted on past signals'
+// raw_confidence and whether their window closed up. Pure functions, no I/O:
+// models are stored by calibrationStore.js and fitted by runCalibration.js.
+
+// Keep calibrated values off 0 and 1 (a few samples at the extremes aren't certainty)
+const MIN_PROBABILITY = 0.02;
+const MAX_PROBABILITY = 0.98;
+const BIN_WIDTH = 10;
+
+/**
+ * Fit an isotonic (non-decreasing) map from raw confidence to P(up)
+ * samples: [{ raw, up }] with raw 0-100 and up true/false
+ * Returns points [[raw, probability], ...] sorted by raw
+ */
+export function fitIsotonic(samples) {
+  const sorted = [...samples].sort((a, b) => a.raw - b.raw);
+
+  // One block per distinct raw value, then pool neighbours that decrease
+  const blocks = [];
+  for (const { raw, up } of sorted) {
+    const last = blocks[blocks.length - 1];
+    if (last && last.max === raw) {
+      last.weight++;
+      last.sum += up ? 1 : 0;
+    } else {
+      blocks.push({ min: raw, max: raw, weight: 1, sum: up ? 1 : 0 });
+    }
+
+    while (blocks.length > 1) {
+      const b = blocks[blocks.length - 1];
+      const a = blocks[blocks.length - 2];
+      if (a.sum / a.weight <= b.sum / b.weight) break;
+      blocks.splice(-2, 2, { min: a.min, max: b.max, weight: a.weight + b.weight, sum: a.sum + b.sum });
+    }
+  }
+
+  const clamp = p => Math.max(MIN_PROBABILITY, Math.min(MAX_PROBABILITY, p));
+  return blocks.flatMap((block) => {
+    const p = Number(clamp(block.sum / block.weight).toFixed(4));
+    return block.min === block.max ? [[block.min, p]] : [[block.min, p], [block.max, p]];
+  });
+}
+
+/**
+ * Calibrated 0-100 confidence for a raw confidence (linear between points,
+ * flat beyond the ends). Without a model the raw value is returned.
+ */
+export function applyCalibration(raw, model) {
+  const points = model?.points;
+  if (!points?.length) return raw;
+
+  if (raw <= points[0][0]) return points[0][1] * 100;
+  if (raw >= points[points.length - 1][0]) return points[points.length - 1][1] * 100;
+
+  const i = points.findIndex(([x]) => x >= raw);
+  const [x0, y0] = points[i - 1];
+  const [x1, y1] = points[i];
+  const y = x1 === x0 ? y1 : y0 + ((raw - x0) / (x1 - x0)) * (y1 - y0);
+  return y * 100;
+}
+
+/**
+ * Mean squared error of 0-100 confidences as probabilities of an up close
+ */
+export function brierScore(samples, predict = raw => raw) {
+  if (samples.length === 0) return null;
+  const total = samples.reduce((sum, s) => sum + (predict(s.raw) / 100 - (s.up ? 1 : 0)) ** 2, 0);
+  return total / samples.length;
+}
+
+/**
+ * Reliability diagram data: predicted vs observed up-rate per 10-point bin
+ */
+export function reliabilityTable(samples, predict = raw => raw) {
+  const bins = new Map();
+  for (const sample of samples) {
+    const predicted = predict(sample.raw);
+    const low = Math.min(100 - BIN_WIDTH, Math.floor(predicted / BIN_WIDTH) * BIN_WIDTH);
+    const bin = bins.get(low) || { count: 0, predicted: 0, ups: 0 };
+    bin.count++;
+    bin.predicted += predicted;
+    bin.ups += sample.up ? 1 : 0;
+    bins.set(low, bin);
+  }
+
+  return [...bins]
+    .sort(([a], [b]) => a - b)
+    .map(([low, bin]) => ({
+      bin: `${low}-${low + BIN_WIDTH}`,
+      count: bin.count,
+      mean_predicted: Number((bin.predicted / bin.count).toFixed(1)),
+      observed: Number(((bin.ups / bin.count) * 100).toFixed(1)),
+    }));
+}
+
+export default { fitIsotonic, applyCalibration, brierScore, reliabilityTable };
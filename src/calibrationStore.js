@@ -0,0 +1,147 @@
+// Calibration Store - Versioned calibration models in Supabase
+// Training samples come from graded signals (signal_outcomes joined to the
+// signal's raw_confidence). Strategies score on different scales, so each
+// strategy and timeframe has its own model. Each fit is a new version; the
+// latest version per strategy/timeframe is applied to new signals.
+//
+// Table calibration_models: strategy_id, timeframe, version, method, points (jsonb),
+// samples, brier_raw, brier_calibrated, reliability (jsonb), trained_from,
+// trained_to, created_at; unique (strategy_id, timeframe, version)
+
+import { supabase } from './supabase.js';
+import { TIMEFRAME_MINUTES } from './signalWindows.js';
+import { getStrategies } from './strategies/index.js';
+import { logger } from './logger.js';
+
+const PAGE_SIZE = 1000; // Supabase returns at most 1000 rows per request
+const ID_CHUNK = 100;   // Ids per .in() filter, keeping request URLs short
+
+const models = new Map(); // 'strategy|timeframe' -> latest model
+
+const modelKey = (strategyId, timeframe) => `${strategyId}|${timeframe}`;
+
+/**
+ * Every row of a query, a page at a time
+ */
+async function fetchAll(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(error.message);
+
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Training samples for a strategy and timeframe, oldest first: [{ raw, up, generatedAt }]
+ * Profiles scored in the same run share a raw confidence, so each run counts once.
+ */
+export async function fetchCalibrationSamples(strategyId, timeframe, { since } = {}) {
+  const outcomes = await fetchAll(() => {
+    let query = supabase
+      .from('signal_outcomes')
+      .select('signal_id, actual_direction')
+      .eq('strategy_id', strategyId)
+      .eq('timeframe', timeframe)
+      .in('actual_direction', ['UP', 'DOWN'])
+      .order('signal_id', { ascending: true });
+    if (since) query = query.gte('window_start', new Date(since).toISOString());
+    return query;
+  });
+
+  const upById = new Map(outcomes.map(o => [o.signal_id, o.actual_direction === 'UP']));
+  const ids = [...upById.keys()];
+
+  const signals = [];
+  for (let i = 0; i < ids.length; i += ID_CHUNK) {
+    const { data, error } = await supabase
+      .from('signals')
+      .select('id, market_id, raw_confidence, generated_at')
+      .in('id', ids.slice(i, i + ID_CHUNK))
+      .not('raw_confidence', 'is', null);
+
+    if (error) throw new Error(`Failed to load signals: ${error.message}`);
+    signals.push(...data);
+  }
+
+  const runs = new Map();
+  for (const signal of signals) {
+    runs.set(`${signal.market_id}|${signal.generated_at}`, {
+      raw: Number(signal.raw_confidence),
+      up: upById.get(signal.id),
+      generatedAt: signal.generated_at,
+    });
+  }
+
+  return [...runs.values()].sort((a, b) => Date.parse(a.generatedAt) - Date.parse(b.generatedAt));
+}
+
+/**
+ * Store a fitted model as the next version for its strategy and timeframe
+ */
+export async function saveCalibrationModel(model) {
+  const { data: latest, error: versionError } = await supabase
+    .from('calibration_models')
+    .select('version')
+    .eq('strategy_id', model.strategy_id)
+    .eq('timeframe', model.timeframe)
+    .order('version', { ascending: false })
+    .limit(1);
+
+  if (versionError) throw new Error(`Failed to load calibration versions: ${versionError.message}`);
+
+  const { data, error } = await supabase
+    .from('calibration_models')
+    .insert({ ...model, version: (latest[0]?.version ?? 0) + 1, created_at: new Date().toISOString() })
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to save calibration model: ${error.message}`);
+  return data;
+}
+
+/**
+ * Load the latest model for every strategy and timeframe into memory
+ */
+export async function loadCalibrationModels() {
+  for (const { id: strategyId } of getStrategies()) {
+    for (const timeframe of Object.keys(TIMEFRAME_MINUTES)) {
+      const key = modelKey(strategyId, timeframe);
+      const { data, error } = await supabase
+        .from('calibration_models')
+        .select('strategy_id, timeframe, version, method, points')
+        .eq('strategy_id', strategyId)
+        .eq('timeframe', timeframe)
+        .order('version', { ascending: false })
+        .limit(1);
+
+      if (error) {
+        logger.error('Failed to load calibration model', { strategy: strategyId, timeframe, error: error.message });
+        continue;
+      }
+
+      const [model] = data;
+      if (model && model.version !== models.get(key)?.version) {
+        logger.info('Calibration model loaded', {
+          strategy: strategyId,
+          timeframe,
+          version: model.version,
+          method: model.method,
+        });
+      }
+      if (model) models.set(key, model);
+      else models.delete(key);
+    }
+  }
+}
+
+/**
+ * Latest loaded model for a strategy and timeframe (null when none has been fitted)
+ */
+export function getCalibrationModel(strategyId, timeframe) {
+  return models.get(modelKey(strategyId, timeframe)) ?? null;
+}
+
+export default { fetchCalibrationSamples, saveCalibrationModel, loadCalibrationModels, getCalibrationModel };
@@ -0,0 +1,263 @@
+// Candle Store - Durable kline history in the Supabase candles table
+// Each series is backfilled once from the exchanges, then only the bars since
+// the last stored one are fetched. A gap gets one wider fetch reaching back to
+// it; what the exchanges no longer serve is reported and not asked for again.
+// fetchKlines reads from the in-memory copy while a series is fresh.
+//
+// Table candles: symbol, interval, open_time (timestamptz), open, high, low,
+// close, volume, trades; unique (symbol, interval, open_time)
+
+import { supabase } from './supabase.js';
+import { fetchRemoteKlines } from './priceFetcher.js';
+import { supabaseWriteFailures } from './metrics.js';
+import { logger } from './logger.js';
+
+export const CANDLE_INTERVALS = ['15m', '1h', '4h', 'daily'];
+
+const INTERVAL_MS = {
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  'daily': 24 * 60 * 60 * 1000,
+};
+
+const CACHE_LIMIT = 1000;    // Bars kept in memory per series (the outcome resolver reads 720)
+const SYNC_OVERLAP = 2;      // Re-fetch the last bars so in-progress candles get their final values
+const FRESH_MS = 90 * 1000;  // Reads fall back to the exchanges when a series hasn't synced lately
+const PAGE_SIZE = 1000;      // Supabase returns at most 1000 rows per request
+
+const series = new Map(); // 'BTC|15m' -> { candles, syncedAt, gaps, checkedGaps }
+
+/**
+ * Candles table row for a kline
+ */
+function toRow(symbol, interval, k) {
+  return {
+    symbol,
+    interval,
+    open_time: new Date(k.openTime).toISOString(),
+    open: k.open,
+    high: k.high,
+    low: k.low,
+    close: k.close,
+    volume: k.volume,
+    trades: k.trades ?? 0,
+  };
+}
+
+/**
+ * Kline (fetchKlines shape) from a candles table row
+ */
+function fromRow(row) {
+  const openTime = new Date(row.open_time).getTime();
+  return {
+    openTime,
+    open: Number(row.open),
+    high: Number(row.high),
+    low: Number(row.low),
+    close: Number(row.close),
+    volume: Number(row.volume),
+    closeTime: openTime + INTERVAL_MS[row.interval],
+    trades: row.trades ?? 0,
+  };
+}
+
+/**
+ * Missing bar ranges in a sorted series
+ */
+function findGaps(candles, interval) {
+  const gaps = [];
+  for (let i = 1; i < candles.length; i++) {
+    const missing = Math.round((candles[i].openTime - candles[i - 1].openTime) / INTERVAL_MS[interval]) - 1;
+    if (missing > 0) {
+      gaps.push({
+        from: new Date(candles[i - 1].openTime + INTERVAL_MS[interval]).toISOString(),
+        to: new Date(candles[i].openTime).toISOString(),
+        missing,
+      });
+    }
+  }
+  return gaps;
+}
+
+/**
+ * Merge new bars into a sorted series (new values win), keeping the latest CACHE_LIMIT
+ */
+function mergeCandles(candles, updates) {
+  const byOpenTime = new Map(candles.map(c => [c.openTime, c]));
+  for (const candle of updates) byOpenTime.set(candle.openTime, candle);
+
+  return [...byOpenTime.values()]
+    .sort((a, b) => a.openTime - b.openTime)
+    .slice(-CACHE_LIMIT);
+}
+
+/**
+ * Load the most recent stored bars for a series
+ */
+async function loadRecent(symbol, interval) {
+  const { data, error } = await supabase
+    .from('candles')
+    .select('*')
+    .eq('symbol', symbol)
+    .eq('interval', interval)
+    .order('open_time', { ascending: false })
+    .limit(CACHE_LIMIT);
+
+  if (error) throw new Error(`Failed to load candles: ${error.message}`);
+  return data.map(fromRow).reverse();
+}
+
+/**
+ * Upsert bars into the candles table
+ */
+async function saveCandles(symbol, interval, candles) {
+  for (let i = 0; i < candles.length; i += PAGE_SIZE) {
+    const { error } = await supabase
+      .from('candles')
+      .upsert(
+        candles.slice(i, i + PAGE_SIZE).map(k => toRow(symbol, interval, k)),
+        { onConflict: 'symbol,interval,open_time' }
+      );
+
+    if (error) {
+      supabaseWriteFailures.inc({ table: 'candles' });
+      throw new Error(`Failed to save candles: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Where the next fetch for a series starts (ms; null = everything the exchanges serve)
+ * The last bars are re-fetched, and a gap not yet asked for widens the fetch back to it.
+ */
+function syncStart(entry, interval) {
+  const last = entry.candles[entry.candles.length - 1];
+  if (!last) return null;
+
+  const unchecked = entry.gaps.filter(gap => !entry.checkedGaps.has(gap.from));
+  const since = last.openTime - SYNC_OVERLAP * INTERVAL_MS[interval];
+  return Math.min(since, ...unchecked.map(gap => Date.parse(gap.from)));
+}
+
+/**
+ * Sync one series: backfill on first run, then the bars since the last stored
+ * one (reaching back once for each gap)
+ */
+export async function syncCandles(symbol, interval) {
+  const key = `${symbol}|${interval}`;
+  if (!series.has(key)) {
+    const candles = await loadRecent(symbol, interval);
+    series.set(key, { candles, syncedAt: null, gaps: findGaps(candles, interval), checkedGaps: new Set() });
+  }
+  const entry = series.get(key);
+
+  const since = syncStart(entry, interval);
+  const updates = await fetchRemoteKlines(symbol, interval, Infinity, { since });
+  const known = new Set(entry.candles.map(c => c.openTime));
+  const last = entry.candles[entry.candles.length - 1];
+  await saveCandles(symbol, interval, updates);
+
+  const gapsBefore = entry.gaps.length;
+  entry.candles = mergeCandles(entry.candles, updates);
+  entry.gaps = findGaps(entry.candles, interval);
+  entry.syncedAt = Date.now();
+
+  // Gaps still open after a fetch reaching back to them aren't served any more
+  const open = new Set(entry.gaps.map(gap => gap.from));
+  entry.checkedGaps = new Set([...entry.checkedGaps].filter(from => open.has(from)));
+  if (since !== null) {
+    for (const gap of entry.gaps) {
+      if (Date.parse(gap.from) >= since) entry.checkedGaps.add(gap.from);
+    }
+  }
+
+  const added = updates.filter(k => !known.has(k.openTime)).length;
+  const log = logger.child({ symbol, interval });
+  if (!last) {
+    log.info('Candles backfilled', { added });
+  } else if (added > SYNC_OVERLAP + 1 || entry.gaps.length !== gapsBefore) {
+    log.info('Candles synced', { added, gaps: entry.gaps.length });
+  }
+  if (entry.gaps.length > gapsBefore) {
+    const missing = entry.gaps.reduce((sum, gap) => sum + gap.missing, 0);
+    log.warn('Candles missing (not served by the exchanges)', { missing });
+  }
+
+  return { added, gaps: entry.gaps };
+}
+
+/**
+ * Sync every interval for a list of symbols
+ */
+export async function syncAllCandles(symbols, intervals = CANDLE_INTERVALS) {
+  for (const symbol of symbols) {
+    for (const interval of intervals) {
+      try {
+        await syncCandles(symbol, interval);
+      } catch (error) {
+        logger.error('Candle sync failed', { symbol, interval, error });
+      }
+    }
+  }
+}
+
+/**
+ * Latest bars from memory, or null when the series is stale, too short or has
+ * a gap in the requested range (callers then fetch from the exchanges)
+ */
+export function getCachedKlines(symbol, interval, limit = 100) {
+  const entry = series.get(`${symbol}|${interval}`);
+  if (!entry?.syncedAt || Date.now() - entry.syncedAt > FRESH_MS) return null;
+  if (entry.candles.length < limit) return null;
+
+  const candles = entry.candles.slice(-limit);
+  return findGaps(candles, interval).length === 0 ? candles : null;
+}
+
+/**
+ * Stored history for a series, oldest first (for the backtester and analytics)
+ */
+export async function loadCandleHistory(symbol, interval, { since, until } = {}) {
+  const candles = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase
+      .from('candles')
+      .select('*')
+      .eq('symbol', symbol)
+      .eq('interval', interval)
+      .order('open_time', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (since) query = query.gte('open_time', new Date(since).toISOString());
+    if (until) query = query.lt('open_time', new Date(until).toISOString());
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to load candles: ${error.message}`);
+
+    candles.push(...data.map(fromRow));
+    if (data.length < PAGE_SIZE) return candles;
+  }
+}
+
+/**
+ * Per-series sync status (bars held, last bar, gaps)
+ */
+export function getCandleStatus() {
+  return Object.fromEntries([...series].map(([key, entry]) => [key, {
+    candles: entry.candles.length,
+    lastOpenTime: entry.candles.length
+      ? new Date(entry.candles[entry.candles.length - 1].openTime).toISOString()
+      : null,
+    syncedAt: entry.syncedAt ? new Date(entry.syncedAt).toISOString() : null,
+    gaps: entry.gaps,
+  }]));
+}
+
+export default {
+  CANDLE_INTERVALS,
+  syncCandles,
+  syncAllCandles,
+  getCachedKlines,
+  loadCandleHistory,
+  getCandleStatus,
+};
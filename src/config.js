@@ -0,0 +1,342 @@
+// Config - Validated settings for scoring, gates, schedules, markets and sources
+// Read from config/default.json (CONFIG_FILE to use another file), then env
+// overrides, then checked against the schema below: an invalid value stops
+// startup with every problem listed.
+//
+// Env overrides:
+//   CONFIG__<section>__<key>...=value   e.g. CONFIG__gates__minDepthUsd=75000
+//                                       (values are parsed as JSON when they can be)
+//   POLYMARKET_MIN_EDGE, EXCHANGE_ORDER, EXCHANGES_DISABLED, PRICE_MODE,
+//   CONSENSUS_METHOD, ORDER_BOOK_BANDS, SIGNAL_HYSTERESIS, SIGNAL_CONFIRMATIONS
+//   still work and map onto their settings
+//
+// watchConfig() re-reads the file when it changes. Scoring and gate settings
+// apply to the next signal; other sections need a restart. Readers call
+// getConfig() each time rather than keeping a copy. getConfigHash() identifies
+// the settings in effect and is stored on every signal (config_hash).
+
+import { readFileSync, watchFile } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import cron from 'node-cron';
+import { TIMEFRAME_MINUTES } from './signalWindows.js';
+import { logger } from './logger.js';
+
+export const PROFILES = ['conservative', 'moderate', 'aggressive'];
+
+const CONFIG_FILE = process.env.CONFIG_FILE || fileURLToPath(new URL('../config/default.json', import.meta.url));
+const ENV_PREFIX = 'CONFIG__';
+const HOT_SECTIONS = ['scoring', 'gates'];
+const WATCH_INTERVAL_MS = 5000;
+
+// Env names that predate the config file: name -> [path, parse]
+const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+const LEGACY_ENV = {
+  POLYMARKET_MIN_EDGE: ['gates.minEdge', Number],
+  EXCHANGE_ORDER: ['sources.exchangeOrder', list],
+  EXCHANGES_DISABLED: ['sources.exchangesDisabled', list],
+  PRICE_MODE: ['sources.priceMode', String],
+  CONSENSUS_METHOD: ['sources.consensusMethod', String],
+  ORDER_BOOK_BANDS: ['sources.orderBookBands', value => list(value).map(Number)],
+  SIGNAL_HYSTERESIS: ['gates.hysteresisMargin', Number],
+  SIGNAL_CONFIRMATIONS: ['gates.flipConfirmations', Number],
+};
+
+// Schema rules
+const num = (min, max) => ({ type: 'number', min, max });
+const int = (min, max) => ({ type: 'number', min, max, integer: true });
+const oneOf = (...values) => ({ type: 'enum', values });
+const listOf = item => ({ type: 'list', item });
+const recordOf = value => ({ type: 'record', value });
+const shape = (fields, optional = []) => ({ type: 'object', fields, optional });
+const keyed = (keys, rule) => shape(Object.fromEntries(keys.map(key => [key, rule])));
+const CRON = { type: 'cron' };
+const TEXT = { type: 'string' };
+
+const TIMEFRAMES = Object.keys(TIMEFRAME_MINUTES);
+const PROFILE_THRESHOLDS = shape({ up: num(0, 100), down: num(0, 100) });
+
+const SCHEMA = shape({
+  scoring: shape({
+    scoreLimit: num(1, 1000),
+    thresholds: keyed(PROFILES, PROFILE_THRESHOLDS),
+    holdMinutes: keyed(TIMEFRAMES, num(0, 1440)),
+    profileHoldMultipliers: keyed(PROFILES, num(0, 10)),
+    strategies: recordOf(shape({
+      weights: recordOf(num(0, 1)),
+      thresholds: recordOf(PROFILE_THRESHOLDS),
+    }, ['thresholds'])),
+  }),
+  gates: shape({
+    minEdge: num(-100, 100),
+    minDepthUsd: num(0, Infinity),
+    maxVolatilityPercentile: num(0, 100),
+    minVolatilitySamples: int(1, 10000),
+    minTimeLeftFraction: num(0, 1),
+    maxCorrelation: num(0, 1),
+    correlationBars: int(10, 1000),
+    conflictLevel: num(0, 1000),
+    hysteresisMargin: num(0, 100),
+    flipConfirmations: int(1, 100),
+    invalidationPct: keyed(TIMEFRAMES, num(0, 100)),
+  }),
+  schedules: keyed(
+    ['markets', 'candles', 'prices', 'signals15m', 'signals1h', 'signalsDaily', 'lifecycle', 'calibration', 'outcomes', 'notifications'],
+    CRON
+  ),
+  markets: shape({
+    fallbackSymbols: listOf(TEXT),
+    defaultTimeframes: listOf(oneOf(...TIMEFRAMES)),
+  }),
+  sources: shape({
+    exchangeOrder: listOf(TEXT),
+    exchangesDisabled: listOf(TEXT),
+    priceMode: oneOf('fallback', 'consensus'),
+    consensusMethod: oneOf('median', 'vwap'),
+    orderBookBands: listOf(num(0, 100)),
+    consensusTimeoutMs: int(100, 60000),
+    consensusTolerancePct: num(0, 100),
+  }),
+});
+
+const checks = [];     // Extra (config) => problems[] registered by other modules
+let active = null;     // Frozen config in effect
+let activeHash = null;
+
+/**
+ * Check a value against a schema rule, collecting "path: problem" strings
+ */
+function validateRule(value, rule, path, problems) {
+  const fail = message => problems.push(`${path}: ${message} (got ${JSON.stringify(value)})`);
+
+  switch (rule.type) {
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) return fail('must be a number');
+      if (rule.integer && !Number.isInteger(value)) return fail('must be a whole number');
+      if (value < rule.min || value > rule.max) return fail(`must be between ${rule.min} and ${rule.max}`);
+      return;
+    case 'string':
+      if (typeof value !== 'string' || value === '') fail('must be a non-empty string');
+      return;
+    case 'enum':
+      if (!rule.values.includes(value)) fail(`must be one of ${rule.values.join(', ')}`);
+      return;
+    case 'cron':
+      if (typeof value !== 'string' || !cron.validate(value)) fail('must be a cron expression');
+      return;
+    case 'list':
+      if (!Array.isArray(value)) return fail('must be a list');
+      value.forEach((item, i) => validateRule(item, rule.item, `${path}[${i}]`, problems));
+      return;
+    case 'record':
+    case 'object': {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) return fail('must be an object');
+      if (rule.type === 'record') {
+        for (const [key, item] of Object.entries(value)) validateRule(item, rule.value, `${path}.${key}`, problems);
+        return;
+      }
+      for (const [key, fieldRule] of Object.entries(rule.fields)) {
+        const fieldPath = path ? `${path}.${key}` : key;
+        if (value[key] === undefined) {
+          if (!rule.optional.includes(key)) problems.push(`${fieldPath}: missing`);
+          continue;
+        }
+        validateRule(value[key], fieldRule, fieldPath, problems);
+      }
+      for (const key of Object.keys(value).filter(key => !(key in rule.fields))) {
+        problems.push(`${path ? `${path}.${key}` : key}: unknown setting`);
+      }
+      return;
+    }
+  }
+}
+
+/**
+ * Rules that span several settings
+ */
+function crossChecks(config) {
+  const problems = [];
+  const checkThresholds = (thresholds, path) => {
+    for (const [profile, { up, down }] of Object.entries(thresholds)) {
+      if (!PROFILES.includes(profile)) problems.push(`${path}.${profile}: unknown profile (expected ${PROFILES.join(', ')})`);
+      else if (down >= up) problems.push(`${path}.${profile}: down must be below up (got ${down}/${up})`);
+    }
+  };
+
+  checkThresholds(config.scoring.thresholds, 'scoring.thresholds');
+  for (const [id, strategy] of Object.entries(config.scoring.strategies)) {
+    const sum = Object.values(strategy.weights).reduce((total, weight) => total + weight, 0);
+    if (Math.abs(sum - 1) > 0.001) problems.push(`scoring.strategies.${id}.weights: must add up to 1 (got ${sum.toFixed(3)})`);
+    if (strategy.thresholds) checkThresholds(strategy.thresholds, `scoring.strategies.${id}.thresholds`);
+  }
+  const bands = config.sources.orderBookBands;
+  if (bands.length === 0 || bands.some(band => band <= 0)) {
+    problems.push(`sources.orderBookBands: needs at least one band, each above 0 (got ${JSON.stringify(bands)})`);
+  }
+  return problems;
+}
+
+/**
+ * Set a dotted path in a nested object (creating objects on the way)
+ */
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (typeof node[key] !== 'object' || node[key] === null) node[key] = {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Apply env overrides (legacy names first, so CONFIG__ wins)
+ */
+function applyEnv(config, env) {
+  for (const [name, [path, parse]] of Object.entries(LEGACY_ENV)) {
+    if (env[name] !== undefined && env[name] !== '') setPath(config, path, parse(env[name]));
+  }
+  for (const [name, raw] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX)) continue;
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch (error) {
+      value = raw;
+    }
+    setPath(config, name.slice(ENV_PREFIX.length).split('__').join('.'), value);
+  }
+  return config;
+}
+
+/**
+ * JSON with sorted keys (same settings, same hash)
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Freeze a config so readers can't change it by accident
+ */
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * Read, override and validate a config (throws listing every problem)
+ */
+export function readConfig({ file = CONFIG_FILE, env = process.env } = {}) {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Can't read config ${file}: ${error.message}`);
+  }
+  applyEnv(config, env);
+
+  const problems = [];
+  validateRule(config, SCHEMA, '', problems);
+  if (problems.length === 0) {
+    problems.push(...crossChecks(config));
+    for (const check of checks) problems.push(...check(config));
+  }
+  if (problems.length > 0) {
+    const error = new Error(`Invalid config (${file}):\n  - ${problems.join('\n  - ')}`);
+    error.problems = problems;
+    throw error;
+  }
+  return deepFreeze(config);
+}
+
+/**
+ * Make a config the active one
+ */
+function activate(config) {
+  active = config;
+  activeHash = createHash('sha256').update(stableStringify(config)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Load the config from file and env (throws if it is invalid)
+ */
+export function loadConfig() {
+  activate(readConfig());
+  return active;
+}
+
+/**
+ * Settings in effect (loaded on first use)
+ */
+export function getConfig() {
+  return active ?? loadConfig();
+}
+
+/**
+ * Short hash of the settings in effect
+ */
+export function getConfigHash() {
+  getConfig();
+  return activeHash;
+}
+
+/**
+ * Register an extra validation (e.g. strategies checking their weights)
+ * The check gets a config and returns a list of problems.
+ */
+export function addConfigCheck(check) {
+  checks.push(check);
+}
+
+/**
+ * Re-read the config file when it changes
+ * Scoring and gate settings apply immediately (then onReload is called);
+ * an invalid file is ignored.
+ */
+export function watchConfig({ intervalMs = WATCH_INTERVAL_MS, onReload } = {}) {
+  const watcher = watchFile(CONFIG_FILE, { interval: intervalMs }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+
+    let next;
+    try {
+      next = readConfig();
+    } catch (error) {
+      logger.error('Config reload rejected, keeping current settings', { problems: error.problems, error });
+      return;
+    }
+
+    const config = getConfig();
+    const restartNeeded = Object.keys(config)
+      .filter(section => !HOT_SECTIONS.includes(section))
+      .filter(section => stableStringify(config[section]) !== stableStringify(next[section]));
+    if (restartNeeded.length > 0) {
+      logger.warn('Config changes need a restart to apply', { sections: restartNeeded });
+    }
+
+    const previousHash = activeHash;
+    activate(deepFreeze({ ...config, ...Object.fromEntries(HOT_SECTIONS.map(section => [section, next[section]])) }));
+    if (activeHash === previousHash) return;
+    logger.info('Config reloaded', { config_hash: activeHash, sections: HOT_SECTIONS });
+    onReload?.(active);
+  });
+  watcher.unref?.();
+  return watcher;
+}
+
+export default {
+  PROFILES,
+  readConfig,
+  loadConfig,
+  getConfig,
+  getConfigHash,
+  addConfigCheck,
+  watchConfig,
+};
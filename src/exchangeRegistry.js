@@ -0,0 +1,253 @@
+// Exchange Registry - Ordered, configurable exchange adapters
+// Tracks success rate/latency per adapter and skips failing sources
+// with a circuit breaker until a cooldown has passed
+//
+// An adapter is { name, symbols, fetchTicker?, fetchOHLC?, fetchDepth? }.
+// Each fetch method is called as (symbol, exchangeSymbol, ...args) and returns
+// data, null when there is nothing for that symbol, or throws on failure.
+// `symbols` maps our symbols to the exchange's (null = use ours as-is).
+//
+// Adapters fetch through httpClient, whose typed errors decide what happens
+// next: a rate-limited source is skipped until its Retry-After passes, a
+// rejected request (4xx) doesn't count towards the breaker, and timeouts,
+// network, server and parse errors do.
+//
+// Config (sources section, or the env names that still work):
+//   exchangeOrder      ["Kraken", "Coinbase"]  Try these first, in this order (EXCHANGE_ORDER)
+//   exchangesDisabled  ["CoinGecko"]           Never use these (EXCHANGES_DISABLED)
+
+import coinGecko from './exchanges/coingecko.js';
+import kraken from './exchanges/kraken.js';
+import coinbase from './exchanges/coinbase.js';
+import bybit from './exchanges/bybit.js';
+import cryptoCompare from './exchanges/cryptocompare.js';
+import { logger } from './logger.js';
+import { getConfig } from './config.js';
+import { exchangeFetchDuration, exchangeFallbacks } from './metrics.js';
+
+const CAPABILITIES = {
+  ticker: 'fetchTicker',
+  ohlc: 'fetchOHLC',
+  depth: 'fetchDepth',
+};
+
+const BREAKER_THRESHOLD = 5;       // Consecutive failures before a source is skipped
+const BREAKER_COOLDOWN_MS = 60000; // Wait this long before probing it again
+const LATENCY_SMOOTHING = 0.2;     // EWMA weight of the newest latency sample
+
+const registry = new Map(); // name -> { adapter, health, symbolOverrides }
+
+/**
+ * A list of exchange names from the sources config (case-insensitive)
+ */
+function sourceList(key) {
+  return getConfig().sources[key].map(name => name.toLowerCase());
+}
+
+/**
+ * Register an adapter (later registrations with the same name replace earlier ones)
+ */
+export function registerAdapter(adapter) {
+  registry.set(adapter.name, {
+    adapter,
+    symbolOverrides: {},
+    health: {
+      calls: 0,
+      successes: 0,
+      failures: 0,
+      avgLatencyMs: null,
+      lastLatencyMs: null,
+      lastError: null,
+      lastSuccessAt: null,
+      rateLimitedUntil: null,
+      breaker: { state: 'closed', consecutiveFailures: 0, openedAt: null, probing: false },
+    },
+  });
+}
+
+/**
+ * Replace symbol overrides for all adapters (e.g. { Kraken: { XRP: 'XRPUSD' } })
+ */
+export function setSymbolMappings(mappings) {
+  for (const [name, entry] of registry) {
+    entry.symbolOverrides = { ...mappings[name] };
+  }
+}
+
+/**
+ * Resolve our symbol to the adapter's symbol (null if unsupported)
+ */
+export function resolveSymbol(adapter, symbol) {
+  const entry = registry.get(adapter.name);
+  if (entry?.symbolOverrides[symbol]) return entry.symbolOverrides[symbol];
+  if (!adapter.symbols) return symbol;
+  return adapter.symbols[symbol] || null;
+}
+
+/**
+ * Enabled adapters supporting a capability, in configured order
+ */
+export function getAdapters(capability) {
+  const method = CAPABILITIES[capability];
+  if (!method) throw new Error(`Unknown exchange capability: ${capability}`);
+
+  const preferred = sourceList('exchangeOrder');
+  const disabled = sourceList('exchangesDisabled');
+  const rank = (name) => {
+    const index = preferred.indexOf(name.toLowerCase());
+    return index === -1 ? preferred.length : index;
+  };
+
+  return [...registry.values()]
+    .map(entry => entry.adapter)
+    .filter(adapter => typeof adapter[method] === 'function')
+    .filter(adapter => !disabled.includes(adapter.name.toLowerCase()))
+    .map((adapter, index) => ({ adapter, index }))
+    .sort((a, b) => rank(a.adapter.name) - rank(b.adapter.name) || a.index - b.index)
+    .map(({ adapter }) => adapter);
+}
+
+/**
+ * Whether the circuit breaker lets a call through right now
+ */
+function breakerAllows(breaker) {
+  if (breaker.state === 'closed') return true;
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt >= BREAKER_COOLDOWN_MS) {
+    breaker.state = 'half-open';
+  }
+  // Half-open: allow a single probe call at a time
+  if (breaker.state === 'half-open' && !breaker.probing) {
+    breaker.probing = true;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Record the outcome of a call in an adapter's health and breaker
+ * (tripsBreaker = false for failures that say nothing about the source's health)
+ */
+function recordResult(health, latencyMs, error, tripsBreaker = true) {
+  const { breaker } = health;
+  health.calls++;
+  health.lastLatencyMs = latencyMs;
+  health.avgLatencyMs = health.avgLatencyMs === null
+    ? latencyMs
+    : health.avgLatencyMs + LATENCY_SMOOTHING * (latencyMs - health.avgLatencyMs);
+  breaker.probing = false;
+
+  if (!error) {
+    health.successes++;
+    health.lastSuccessAt = new Date().toISOString();
+    breaker.state = 'closed';
+    breaker.consecutiveFailures = 0;
+    breaker.openedAt = null;
+    return;
+  }
+
+  health.failures++;
+  health.lastError = error;
+  if (!tripsBreaker) return;
+  breaker.consecutiveFailures++;
+  if (breaker.state === 'half-open' || breaker.consecutiveFailures >= BREAKER_THRESHOLD) {
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+/**
+ * Call one adapter capability with health tracking
+ * Returns null when the breaker is open, the symbol is unsupported or the call fails.
+ */
+export async function callAdapter(adapter, capability, symbol, ...args) {
+  const exchangeSymbol = resolveSymbol(adapter, symbol);
+  if (!exchangeSymbol) return null;
+
+  const { health } = registry.get(adapter.name);
+  if (health.rateLimitedUntil > Date.now()) return null;
+  if (!breakerAllows(health.breaker)) return null;
+
+  const started = Date.now();
+  const endTimer = exchangeFetchDuration.startTimer({ exchange: adapter.name, capability });
+  try {
+    const data = await adapter[CAPABILITIES[capability]](symbol, exchangeSymbol, ...args);
+    recordResult(health, Date.now() - started, data ? null : 'empty response');
+    endTimer({ outcome: data ? 'ok' : 'empty' });
+    return data || null;
+  } catch (e) {
+    if (e.kind === 'rate_limited') {
+      health.rateLimitedUntil = Date.now() + (e.retryAfterMs ?? BREAKER_COOLDOWN_MS);
+    }
+    recordResult(health, Date.now() - started, e.message, !['rate_limited', 'client'].includes(e.kind));
+    endTimer({ outcome: 'error' });
+    logger.warn('Exchange call failed', {
+      source: adapter.name,
+      capability,
+      symbol,
+      error: e,
+      error_kind: e.kind,
+      status: e.status,
+    });
+    return null;
+  }
+}
+
+/**
+ * Try adapters in order until one returns acceptable data
+ */
+export async function withFallback(capability, symbol, args = [], { accept = Boolean, delayMs = 100 } = {}) {
+  for (const adapter of getAdapters(capability)) {
+    if (!resolveSymbol(adapter, symbol)) continue;
+
+    const data = await callAdapter(adapter, capability, symbol, ...args);
+    if (data && accept(data)) return data;
+    exchangeFallbacks.inc({ capability, from: adapter.name });
+    await new Promise(r => setTimeout(r, delayMs)); // Small delay between attempts
+  }
+  exchangeFallbacks.inc({ capability, from: 'all' });
+  return null;
+}
+
+/**
+ * Health snapshot for every registered adapter
+ */
+export function getExchangeHealth() {
+  const disabled = sourceList('exchangesDisabled');
+
+  return [...registry.values()].map(({ adapter, health }) => ({
+    name: adapter.name,
+    enabled: !disabled.includes(adapter.name.toLowerCase()),
+    capabilities: Object.keys(CAPABILITIES).filter(c => typeof adapter[CAPABILITIES[c]] === 'function'),
+    calls: health.calls,
+    successRate: health.calls > 0 ? health.successes / health.calls : null,
+    avgLatencyMs: health.avgLatencyMs === null ? null : Math.round(health.avgLatencyMs),
+    lastLatencyMs: health.lastLatencyMs,
+    lastError: health.lastError,
+    lastSuccessAt: health.lastSuccessAt,
+    rateLimitedUntil: health.rateLimitedUntil > Date.now()
+      ? new Date(health.rateLimitedUntil).toISOString()
+      : null,
+    breaker: {
+      state: health.breaker.state,
+      consecutiveFailures: health.breaker.consecutiveFailures,
+      retryAt: health.breaker.openedAt
+        ? new Date(health.breaker.openedAt + BREAKER_COOLDOWN_MS).toISOString()
+        : null,
+    },
+  }));
+}
+
+// Built-in adapters, in default fallback order
+for (const adapter of [coinGecko, kraken, coinbase, bybit, cryptoCompare]) {
+  registerAdapter(adapter);
+}
+
+export default {
+  registerAdapter,
+  setSymbolMappings,
+  resolveSymbol,
+  getAdapters,
+  callAdapter,
+  withFallback,
+  getExchangeHealth,
+};
@@ -0,0 +1,64 @@
+// Bybit Adapter - Spot ticker and L2 depth
+// Public v5 API, no key required
+
+import { logger } from '../logger.js';
+import { fetchJson } from '../httpClient.js';
+
+const SYMBOLS = { BTC: 'BTCUSDT', ETH: 'ETHUSDT', SOL: 'SOLUSDT' };
+
+/**
+ * Fetch JSON and unwrap Bybit's { retCode, result } envelope
+ */
+async function request(url) {
+  const data = await fetchJson(url);
+  if (data.retCode !== 0) throw new Error(data.retMsg || `retCode ${data.retCode}`);
+  return data.result;
+}
+
+/**
+ * Fetch 24h ticker
+ */
+async function fetchTicker(symbol, pair) {
+  const result = await request(`https://api.bybit.com/v5/market/tickers?category=spot&symbol=${pair}`);
+  
+  const ticker = result?.list?.[0];
+  if (!ticker) return null;
+  
+  const price = parseFloat(ticker.lastPrice);
+  const open = parseFloat(ticker.prevPrice24h);
+  
+  logger.debug('Price fetched', { source: 'Bybit', symbol, price });
+  return {
+    symbol,
+    price,
+    open,
+    high: parseFloat(ticker.highPrice24h),
+    low: parseFloat(ticker.lowPrice24h),
+    volume: parseFloat(ticker.volume24h),
+    change: parseFloat(ticker.price24hPcnt) * 100,
+    source: 'Bybit',
+  };
+}
+
+/**
+ * Fetch L2 depth
+ */
+async function fetchDepth(symbol, pair, limit = 100) {
+  const result = await request(
+    `https://api.bybit.com/v5/market/orderbook?category=spot&symbol=${pair}&limit=${Math.min(limit, 200)}`
+  );
+  if (!result) return null;
+  
+  return {
+    bids: result.b.map(([price, size]) => [parseFloat(price), parseFloat(size)]),
+    asks: result.a.map(([price, size]) => [parseFloat(price), parseFloat(size)]),
+    source: 'Bybit',
+  };
+}
+
+export default {
+  name: 'Bybit',
+  symbols: SYMBOLS,
+  fetchTicker,
+  fetchDepth,
+};
@@ -0,0 +1,60 @@
+// Coinbase Adapter - Ticker and L2 depth
+// Public REST API, no key required
+
+import { logger } from '../logger.js';
+import { fetchJson } from '../httpClient.js';
+
+const SYMBOLS = { BTC: 'BTC-USD', ETH: 'ETH-USD', SOL: 'SOL-USD' };
+
+/**
+ * Fetch spot price plus 24h stats
+ */
+async function fetchTicker(symbol, pair) {
+  // Get current price
+  const priceData = await fetchJson(`https://api.coinbase.com/v2/prices/${pair}/spot`);
+  const price = parseFloat(priceData.data.amount);
+  
+  // Get 24h stats (optional: fall back to the spot price)
+  const stats = await fetchJson(`https://api.exchange.coinbase.com/products/${pair}/stats`).catch(() => null);
+  let open = price, high = price, low = price, volume = 0;
+  
+  if (stats) {
+    open = parseFloat(stats.open) || price;
+    high = parseFloat(stats.high) || price;
+    low = parseFloat(stats.low) || price;
+    volume = parseFloat(stats.volume) || 0;
+  }
+  
+  logger.debug('Price fetched', { source: 'Coinbase', symbol, price });
+  return {
+    symbol,
+    price,
+    open,
+    high,
+    low,
+    volume,
+    change: ((price - open) / open) * 100,
+    source: 'Coinbase',
+  };
+}
+
+/**
+ * Fetch L2 depth (aggregated top 50 levels)
+ */
+async function fetchDepth(symbol, pair) {
+  const book = await fetchJson(`https://api.exchange.coinbase.com/products/${pair}/book?level=2`);
+  if (!Array.isArray(book.bids) || !Array.isArray(book.asks)) return null;
+  
+  return {
+    bids: book.bids.map(([price, size]) => [parseFloat(price), parseFloat(size)]),
+    asks: book.asks.map(([price, size]) => [parseFloat(price), parseFloat(size)]),
+    source: 'Coinbase',
+  };
+}
+
+export default {
+  name: 'Coinbase',
+  symbols: SYMBOLS,
+  fetchTicker,
+  fetchDepth,
+};
@@ -0,0 +1,36 @@
+// CoinGecko Adapter - Ticker only
+// Free public API, no key required
+
+import { logger } from '../logger.js';
+import { fetchJson } from '../httpClient.js';
+
+const SYMBOLS = { BTC: 'bitcoin', ETH: 'ethereum', SOL: 'solana' };
+
+/**
+ * Fetch 24h ticker
+ */
+async function fetchTicker(symbol, id) {
+  const data = await fetchJson(
+    `https://api.coingecko.com/api/v3/simple/price?ids=${id}&vs_currencies=usd&include_24hr_vol=true&include_24hr_change=true`
+  );
+  const coin = data[id];
+  if (!coin) return null;
+  
+  logger.debug('Price fetched', { source: 'CoinGecko', symbol, price: coin.usd });
+  return {
+    symbol,
+    price: coin.usd,
+    open: coin.usd / (1 + (coin.usd_24h_change || 0) / 100),
+    high: coin.usd * 1.01,
+    low: coin.usd * 0.99,
+    volume: coin.usd_24h_vol || 0,
+    change: coin.usd_24h_change || 0,
+    source: 'CoinGecko',
+  };
+}
+
+export default {
+  name: 'CoinGecko',
+  symbols: SYMBOLS,
+  fetchTicker,
+};
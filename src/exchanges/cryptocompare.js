@@ -0,0 +1,73 @@
+// CryptoCompare Adapter - Ticker and OHLC
+// Uses plain tickers (BTC, ETH, ...), so any symbol is accepted
+
+import { logger } from '../logger.js';
+import { fetchJson } from '../httpClient.js';
+
+const MAX_LIMIT = 2000; // Bars per histo request
+
+/**
+ * Fetch 24h ticker
+ */
+async function fetchTicker(symbol, fsym) {
+  const data = await fetchJson(
+    `https://min-api.cryptocompare.com/data/pricemultifull?fsyms=${fsym}&tsyms=USD`
+  );
+  const raw = data.RAW?.[fsym]?.USD;
+  if (!raw) return null;
+  
+  logger.debug('Price fetched', { source: 'CryptoCompare', symbol, price: raw.PRICE });
+  return {
+    symbol,
+    price: raw.PRICE,
+    open: raw.OPEN24HOUR,
+    high: raw.HIGH24HOUR,
+    low: raw.LOW24HOUR,
+    volume: raw.VOLUME24HOUR,
+    change: raw.CHANGEPCT24HOUR,
+    source: 'CryptoCompare',
+  };
+}
+
+/**
+ * Fetch the latest `limit` OHLC candles (interval in minutes)
+ * Minute history only goes back 7 days, so long 15m requests come back shorter.
+ */
+async function fetchOHLC(symbol, fsym, interval = 15, limit = 100) {
+  // CryptoCompare uses: histominute, histohour, histoday
+  // (aggregate combines base candles into the requested interval)
+  let endpoint = 'histominute';
+  let aggregate = interval;
+  
+  if (interval >= 60) {
+    endpoint = 'histohour';
+    aggregate = interval / 60;
+  }
+  if (interval >= 1440) {
+    endpoint = 'histoday';
+    aggregate = interval / 1440;
+  }
+
+  const data = await fetchJson(
+    `https://min-api.cryptocompare.com/data/v2/${endpoint}?fsym=${fsym}&tsym=USD&limit=${Math.min(limit, MAX_LIMIT)}&aggregate=${aggregate}`
+  );
+  if (data.Response !== 'Success') throw new Error(data.Message || 'Request failed');
+  
+  return data.Data.Data.map((k) => ({
+    openTime: k.time * 1000,
+    open: k.open,
+    high: k.high,
+    low: k.low,
+    close: k.close,
+    volume: k.volumefrom,
+    closeTime: (k.time + interval * 60) * 1000,
+    trades: 0,
+  }));
+}
+
+export default {
+  name: 'CryptoCompare',
+  symbols: null, // Accepts any symbol as-is
+  fetchTicker,
+  fetchOHLC,
+};
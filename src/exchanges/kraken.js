@@ -0,0 +1,92 @@
+// Kraken Adapter - Ticker, OHLC and L2 depth
+// Public REST API, no key required
+
+import { logger } from '../logger.js';
+import { fetchJson } from '../httpClient.js';
+
+const SYMBOLS = { BTC: 'XBTUSD', ETH: 'ETHUSD', SOL: 'SOLUSD' };
+
+/**
+ * Fetch JSON and unwrap Kraken's { error, result } envelope
+ */
+async function request(url) {
+  const data = await fetchJson(url);
+  if (data.error?.length > 0) throw new Error(data.error.join(', '));
+  return data.result;
+}
+
+/**
+ * Fetch 24h ticker
+ */
+async function fetchTicker(symbol, pair) {
+  const result = await request(`https://api.kraken.com/0/public/Ticker?pair=${pair}`);
+  
+  const ticker = Object.values(result)[0];
+  if (!ticker) return null;
+  
+  const price = parseFloat(ticker.c[0]);
+  const open = parseFloat(ticker.o);
+  
+  logger.debug('Price fetched', { source: 'Kraken', symbol, price });
+  return {
+    symbol,
+    price,
+    open,
+    high: parseFloat(ticker.h[1]),
+    low: parseFloat(ticker.l[1]),
+    volume: parseFloat(ticker.v[1]),
+    change: ((price - open) / open) * 100,
+    source: 'Kraken',
+  };
+}
+
+/**
+ * Fetch OHLC candles (interval in minutes); Kraken serves its last 720 bars,
+ * or those from `since` (ms) on. The limit is left to the caller.
+ */
+async function fetchOHLC(symbol, pair, interval = 15, limit = 720, since = null) {
+  const from = since === null ? '' : `&since=${Math.floor(since / 1000)}`;
+  const result = await request(
+    `https://api.kraken.com/0/public/OHLC?pair=${pair}&interval=${interval}${from}`
+  );
+  
+  const ohlc = Object.values(result).find(Array.isArray);
+  if (!ohlc) return null;
+  
+  return ohlc.map((k) => ({
+    openTime: k[0] * 1000,
+    open: parseFloat(k[1]),
+    high: parseFloat(k[2]),
+    low: parseFloat(k[3]),
+    close: parseFloat(k[4]),
+    volume: parseFloat(k[6]),
+    closeTime: k[0] * 1000 + interval * 60000,
+    trades: parseInt(k[7]) || 0,
+  }));
+}
+
+/**
+ * Fetch L2 depth
+ */
+async function fetchDepth(symbol, pair, limit = 100) {
+  const result = await request(
+    `https://api.kraken.com/0/public/Depth?pair=${pair}&count=${Math.min(limit, 500)}`
+  );
+  
+  const book = Object.values(result || {})[0];
+  if (!book) return null;
+  
+  return {
+    bids: book.bids.map(([price, size]) => [parseFloat(price), parseFloat(size)]),
+    asks: book.asks.map(([price, size]) => [parseFloat(price), parseFloat(size)]),
+    source: 'Kraken',
+  };
+}
+
+export default {
+  name: 'Kraken',
+  symbols: SYMBOLS,
+  fetchTicker,
+  fetchOHLC,
+  fetchDepth,
+};
@@ -0,0 +1,160 @@
+// Fixtures - Record and replay exchange API responses, plus fault scenarios
+// Plugs into httpClient as its fetch, so every adapter, the price fetcher and
+// the signal generator run unchanged against saved responses.
+//
+// FETCH_FIXTURES=record  Make real requests and save each GET response to FIXTURES_DIR
+// FETCH_FIXTURES=replay  Answer requests from FIXTURES_DIR without touching the network;
+//                        a request with no fixture fails like a refused connection.
+//                        Rate limits and backoff waits are skipped (see httpClient.js)
+// FIXTURES_DIR           Where fixtures live (default fixtures/)
+// FETCH_FAULTS           Per-host faults on top of any mode, e.g.
+//                        api.kraken.com=outage,api.coinbase.com=malformed (* = every host)
+//
+// Faults:
+//   outage        Connection refused
+//   timeout       No answer until the request's deadline
+//   server        HTTP 503
+//   rate_limited  HTTP 429 with Retry-After: 1
+//   malformed     HTTP 200 with a body that isn't JSON
+//   empty         HTTP 200 with {}
+//
+// One file per request: <host>/<method>-<path>-<hash>.json holding
+// { request: { method, url }, response: { status, headers, body } }.
+// Only GETs are recorded (other requests carry credentials, e.g. FCM tokens).
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_DIR = fileURLToPath(new URL('../fixtures/', import.meta.url));
+const MODES = ['record', 'replay'];
+const KEPT_HEADERS = ['content-type', 'retry-after']; // Response headers saved with a fixture
+
+// Statuses whose responses can't carry a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+// Fault -> what the request gets instead of a response
+const FAULTS = {
+  outage: () => {
+    throw new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } });
+  },
+  timeout: (init) => new Promise((resolve, reject) => {
+    // A hung socket keeps the process alive; the abort timer alone doesn't
+    const keepAlive = setInterval(() => {}, 1000);
+    init.signal?.addEventListener('abort', () => {
+      clearInterval(keepAlive);
+      reject(init.signal.reason);
+    }, { once: true });
+  }),
+  server: () => new Response('Service Unavailable', { status: 503 }),
+  rate_limited: () => new Response('Too Many Requests', { status: 429, headers: { 'retry-after': '1' } }),
+  malformed: () => new Response('<html>Bad Gateway</html>', { status: 200 }),
+  empty: () => new Response('{}', { status: 200, headers: { 'content-type': 'application/json' } }),
+};
+
+export const FAULT_NAMES = Object.keys(FAULTS);
+
+/**
+ * Parse "host=fault,host=fault" into { host: fault }
+ */
+export function parseFaults(spec = '') {
+  const faults = {};
+  for (const entry of spec.split(',').map(item => item.trim()).filter(Boolean)) {
+    const [host, fault] = entry.split('=').map(part => part.trim());
+    if (!FAULTS[fault]) {
+      throw new Error(`Unknown fault for ${host}: ${fault} (expected ${FAULT_NAMES.join(', ')})`);
+    }
+    faults[host] = fault;
+  }
+  return faults;
+}
+
+/**
+ * Fixture file for a request (relative to the fixtures dir)
+ */
+export function fixturePath(method, url) {
+  const { host, pathname } = new URL(url);
+  const path = pathname.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'root';
+  const hash = createHash('sha256').update(`${method} ${url}`).digest('hex').slice(0, 10);
+  return join(host, `${method.toLowerCase()}-${path}-${hash}.json`);
+}
+
+/**
+ * Build a Response from saved parts
+ */
+function toResponse(status, headers, body) {
+  return new Response(NULL_BODY_STATUSES.includes(status) ? null : body, { status, headers });
+}
+
+/**
+ * Save a response as a fixture and hand back an unread copy
+ */
+async function record(dir, method, url, response) {
+  const body = await response.text();
+  const headers = Object.fromEntries(KEPT_HEADERS
+    .filter(name => response.headers.has(name))
+    .map(name => [name, response.headers.get(name)]));
+
+  const file = join(dir, fixturePath(method, url));
+  await mkdir(join(file, '..'), { recursive: true });
+  await writeFile(file, `${JSON.stringify({
+    request: { method, url },
+    response: { status: response.status, headers, body },
+  }, null, 2)}\n`);
+
+  return toResponse(response.status, headers, body);
+}
+
+/**
+ * Answer a request from its fixture (refused connection if there is none)
+ */
+async function replay(dir, method, url) {
+  let fixture;
+  try {
+    fixture = JSON.parse(await readFile(join(dir, fixturePath(method, url)), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    throw new TypeError('fetch failed', { cause: { code: `NO_FIXTURE ${method} ${url}` } });
+  }
+
+  const { status, headers, body } = fixture.response;
+  return toResponse(status, headers, body);
+}
+
+/**
+ * A fetch that records, replays and/or injects faults
+ * mode: 'record' | 'replay' | null (live), faults: { host: fault },
+ * fetch: what makes real requests (default the global fetch)
+ */
+export function createFixtureFetch({ mode = null, dir = DEFAULT_DIR, faults = {}, fetch: baseFetch = null } = {}) {
+  if (mode && !MODES.includes(mode)) throw new Error(`Unknown fixture mode: ${mode} (expected ${MODES.join(', ')})`);
+
+  const fixtureFetch = async (url, init = {}) => {
+    const method = (init.method || 'GET').toUpperCase();
+    const fault = faults[new URL(url).host] ?? faults['*'];
+    if (fault) return FAULTS[fault](init);
+
+    const send = baseFetch ?? fetch;
+    if (!mode || (mode === 'record' && method !== 'GET')) return send(url, init);
+    if (mode === 'replay') return replay(dir, method, url);
+    return record(dir, method, url, await send(url, init));
+  };
+  fixtureFetch.offline = mode === 'replay'; // httpClient skips rate limits and backoff
+  return fixtureFetch;
+}
+
+/**
+ * The fetch configured by FETCH_FIXTURES/FETCH_FAULTS (null when neither is set)
+ */
+export function fixtureFetchFromEnv(env = process.env) {
+  if (!env.FETCH_FIXTURES && !env.FETCH_FAULTS) return null;
+
+  return createFixtureFetch({
+    mode: env.FETCH_FIXTURES || null,
+    dir: env.FIXTURES_DIR || DEFAULT_DIR,
+    faults: parseFaults(env.FETCH_FAULTS),
+  });
+}
+
+export default { FAULT_NAMES, parseFaults, fixturePath, createFixtureFetch, fixtureFetchFromEnv };
@@ -1,160 +1,237 @@
-// Generate Signals and Push to Supabase
-// Usage: node src/generateSignals.js [timeframe]
+// Generate Signals and Push to Supabase (or another sink)
+// Usage: node src/generateSignals.js [timeframe] [--sink supabase|postgres[:<url>]|sqlite[:<file>]|stdout]
+//        [--market btc-usd,ETH] [--dry-run] [--force]
 // Timeframes: 15m, 1h, daily, all
-
-import { supabase } from './supabase.js';
-import { generateSignal } from './signalGenerator.js';
+//
+// --sink     Where signals go (default supabase, see sinks/index.js). Other
+//            sinks run without Supabase credentials, on the config's fallback markets
+// --market   Only these markets (ids or symbols, comma-separated)
+// --dry-run  Read from the sink as usual but print prices and signals as JSON
+//            lines instead of writing them
+// --force    Generate every profile, even those still in their hold period, and
+//            store them even if this window's signal is already stored.
+//            Hysteresis still applies
+
+import { generateProfileSignals, setCalibrationModels, PROFILES } from './signalGenerator.js';
 import { fetchPrice } from './priceFetcher.js';
+import { getActiveMarkets } from './marketRegistry.js';
+import { getEnabledStrategies } from './strategies/index.js';
+import { getCalibrationModel } from './calibrationStore.js';
+import { reportMissingCredentials } from './supabase.js';
+import { createSink, dryRun, SINK_NAMES } from './sinks/index.js';
+import { logToStderr } from './logger.js';
+import { getConfigHash } from './config.js';
 
-const MARKETS = ['BTC', 'ETH', 'SOL'];
 const TIMEFRAMES = ['15m', '1h', 'daily'];
+const CALIBRATION_ENABLED = process.env.CALIBRATION !== 'off';
+const FLAGS = ['dry-run', 'force']; // Options that don't take a value
+
+// Map confidence through the latest fitted calibration per strategy and timeframe
+if (CALIBRATION_ENABLED) setCalibrationModels(getCalibrationModel);
 
 /**
- * Update market prices in Supabase
+ * Parse --flag [value] options and positional arguments
  */
-async function updateMarketPrices() {
+function parseArgs(argv) {
+  const args = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      args.positional.push(argv[i]);
+    } else if (FLAGS.includes(argv[i].slice(2))) {
+      args[argv[i].slice(2)] = true;
+    } else {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Active markets for a timeframe, limited to --market when given
+ */
+function selectMarkets(timeframe, filter) {
+  const markets = getActiveMarkets(timeframe);
+  if (!filter) return markets;
+  return markets.filter(m => filter.includes(m.id) || filter.includes(m.symbol.toLowerCase()));
+}
+
+/**
+ * Update market prices in the sink
+ */
+async function updateMarketPrices(sink, filter) {
   console.log('\n💰 Updating market prices...');
-  
-  for (const symbol of MARKETS) {
+
+  for (const { id: marketId, symbol } of selectMarkets(null, filter)) {
     try {
       const priceData = await fetchPrice(symbol);
-      
-      const { error } = await supabase
-        .from('markets')
-        .update({
-          current_price: priceData.price,
-          open_price: priceData.open,
-          high_24h: priceData.high,
-          low_24h: priceData.low,
-          volume_24h: priceData.volume,
-          price_updated_at: new Date().toISOString(),
-        })
-        .eq('id', `${symbol.toLowerCase()}-usd`);
-
-      if (error) {
-        console.error(`   ❌ Failed to update ${symbol}:`, error.message);
-      } else {
-        console.log(`   ✅ ${symbol}: $${priceData.price.toLocaleString()}`);
-      }
+      await sink.writePrice(marketId, priceData);
+      console.log(`   ✅ ${symbol}: $${priceData.price.toLocaleString()}`);
     } catch (error) {
-      console.error(`   ❌ Error fetching ${symbol}:`, error.message);
+      console.error(`   ❌ Failed to update ${symbol}:`, error.message);
     }
   }
 }
 
 /**
- * Check if we should generate a new signal
- * (only if the previous signal's hold_until has passed)
+ * Profiles we should generate a new signal for
+ * (only those whose previous signal's hold_until has passed, unless forced)
  */
-async function shouldGenerateSignal(marketId, timeframe) {
-  const { data: existing } = await supabase
-    .from('signals')
-    .select('hold_until')
-    .eq('market_id', marketId)
-    .eq('timeframe', timeframe)
-    .order('generated_at', { ascending: false })
-    .limit(1)
-    .single();
-
-  if (!existing) return true; // No existing signal
-  
-  const holdUntil = new Date(existing.hold_until);
-  return new Date() > holdUntil; // Generate if hold period has passed
+async function profilesToGenerate(sink, marketId, timeframe, strategy, force) {
+  if (force) return PROFILES;
+
+  const heldProfiles = new Set(await sink.heldProfiles(marketId, timeframe, strategy.id));
+  return PROFILES.filter(profile => !heldProfiles.has(profile));
 }
 
 /**
- * Generate and push signal for a specific market/timeframe
+ * Generate and store signals for a specific market/timeframe/strategy
+ * (scored once, one row per profile)
  */
-async function generateAndPushSignal(symbol, timeframe) {
-  const marketId = `${symbol.toLowerCase()}-usd`;
-  
-  // Check if we should generate a new signal
-  const shouldGenerate = await shouldGenerateSignal(marketId, timeframe);
-  if (!shouldGenerate) {
-    console.log(`   ⏭️  ${symbol} ${timeframe}: Signal still valid, skipping`);
-    return null;
-  }
+async function generateAndPushSignals(sink, market, timeframe, strategy, { force }) {
+  const { id: marketId, symbol } = market;
 
   try {
-    // Generate the signal
-    const signal = await generateSignal(symbol, timeframe, 'aggressive');
-    
-    // Insert into Supabase
-    const { data, error } = await supabase
-      .from('signals')
-      .insert(signal)
-      .select()
-      .single();
-
-    if (error) {
-      console.error(`   ❌ Failed to insert ${symbol} ${timeframe}:`, error.message);
-      return null;
+    // Check which profiles need a new signal
+    const profiles = await profilesToGenerate(sink, marketId, timeframe, strategy, force);
+    if (profiles.length === 0) {
+      console.log(`   ⏭️  ${symbol} ${timeframe} [${strategy.id}]: Signals still valid, skipping`);
+      return [];
     }
 
-    console.log(`   ✅ ${symbol} ${timeframe}: ${signal.direction} (${signal.confidence ?? 'FLAT'})`);
+    // Generate the signals
+    const signals = await generateProfileSignals(symbol, timeframe, {
+      profiles,
+      marketId,
+      strategy,
+      polymarketSlugs: market.polymarketSlugs,
+      activeCalls: await sink.activeCalls(timeframe, strategy.id),
+    });
+
+    const data = await sink.writeSignals(signals, { force });
+
+    for (const signal of data) {
+      console.log(`   ✅ ${symbol} ${timeframe} [${signal.profile}]: ${signal.direction} (${signal.confidence ?? 'FLAT'})`);
+    }
     return data;
   } catch (error) {
     console.error(`   ❌ Error generating ${symbol} ${timeframe}:`, error.message);
-    return null;
+    return [];
   }
 }
 
 /**
- * Generate signals for all markets for a specific timeframe
+ * Generate signals for all selected markets for a specific timeframe
  */
-async function generateSignalsForTimeframe(timeframe) {
+async function generateSignalsForTimeframe(sink, timeframe, options) {
   console.log(`\n🎯 Generating ${timeframe} signals...`);
-  
+
   const results = [];
-  for (const symbol of MARKETS) {
-    const result = await generateAndPushSignal(symbol, timeframe);
-    if (result) results.push(result);
+  for (const market of selectMarkets(timeframe, options.markets)) {
+    for (const strategy of getEnabledStrategies()) {
+      results.push(...await generateAndPushSignals(sink, market, timeframe, strategy, options));
+    }
   }
-  
+
   return results;
 }
 
 /**
  * Generate signals for all timeframes
  */
-async function generateAllSignals() {
+async function generateAllSignals(sink, options) {
   console.log('\n🚀 Generating all signals...');
-  
-  // Update prices first
-  await updateMarketPrices();
-  
+
   // Generate for each timeframe
   for (const timeframe of TIMEFRAMES) {
-    await generateSignalsForTimeframe(timeframe);
+    await generateSignalsForTimeframe(sink, timeframe, options);
   }
-  
+
   console.log('\n✅ All signals generated!');
 }
 
+/**
+ * Open the sink chosen with --sink (exits with the reason if it can't)
+ */
+async function openSink(args) {
+  try {
+    const sink = await createSink(args.sink);
+    return args['dry-run'] ? dryRun(sink) : sink;
+  } catch (error) {
+    if (error.message.startsWith('Missing SUPABASE')) {
+      reportMissingCredentials();
+      console.error(`   Or choose another sink: --sink ${SINK_NAMES.filter(name => name !== 'supabase').join('|')}`);
+    } else {
+      console.error(`❌ ${error.message}`);
+    }
+    process.exit(1);
+  }
+}
+
 /**
  * Main entry point
  */
 async function main() {
-  const arg = process.argv[2] || 'all';
-  
+  const args = parseArgs(process.argv.slice(2));
+  const arg = args.positional[0] || 'all';
+
+  if (arg !== 'all' && !TIMEFRAMES.includes(arg)) {
+    console.error(`❌ Unknown timeframe: ${arg}`);
+    console.log('   Valid options: 15m, 1h, daily, all');
+    process.exit(1);
+  }
+
+  const sink = await openSink(args);
+
+  // Keep stdout for the JSON lines: progress and logs go to stderr
+  if (sink.writesStdout) {
+    logToStderr();
+    console.log = console.error;
+  }
+
+  const options = {
+    force: Boolean(args.force),
+    markets: args.market ? args.market.toLowerCase().split(',').map(m => m.trim()).filter(Boolean) : null,
+  };
+
   console.log('═══════════════════════════════════════════');
   console.log('  POLYMARKET PREDICTOR - Signal Generator');
   console.log('═══════════════════════════════════════════');
   console.log(`  Time: ${new Date().toISOString()}`);
-  console.log(`  Mode: ${arg}`);
+  console.log(`  Mode: ${arg}${options.force ? ' (forced)' : ''}`);
+  console.log(`  Sink: ${sink.name}`);
+  if (options.markets) console.log(`  Markets: ${options.markets.join(', ')}`);
+  console.log(`  Config: ${getConfigHash()}`);
   console.log('═══════════════════════════════════════════');
 
-  // Update prices first
-  await updateMarketPrices();
+  try {
+    // Load active markets (and calibration models) kept with the sink
+    await sink.load();
+
+    if (options.markets) {
+      const known = getActiveMarkets().flatMap(m => [m.id, m.symbol.toLowerCase()]);
+      const unknown = options.markets.filter(m => !known.includes(m));
+      if (unknown.length > 0) {
+        console.error(`❌ Unknown market: ${unknown.join(', ')}`);
+        console.log(`   Active markets: ${getActiveMarkets().map(m => m.id).join(', ')}`);
+        process.exitCode = 1;
+        return;
+      }
+    }
 
-  if (arg === 'all') {
-    await generateAllSignals();
-  } else if (TIMEFRAMES.includes(arg)) {
-    await generateSignalsForTimeframe(arg);
-  } else {
-    console.error(`❌ Unknown timeframe: ${arg}`);
-    console.log('   Valid options: 15m, 1h, daily, all');
-    process.exit(1);
+    // Retire signals whose window has ended
+    await sink.expire();
+
+    // Update prices first
+    await updateMarketPrices(sink, options.markets);
+
+    if (arg === 'all') {
+      await generateAllSignals(sink, options);
+    } else {
+      await generateSignalsForTimeframe(sink, arg, options);
+    }
+  } finally {
+    await sink.close();
   }
 
   console.log('\n🏁 Done!\n');
@@ -0,0 +1,233 @@
+// HTTP Client - Shared fetch with deadlines, retries and per-host rate limits
+// Every outbound REST call goes through here. A request has one deadline
+// (timeoutMs) covering rate-limit waits, attempts and backoff, so a hung API
+// can't stall the caller; each attempt gets an equal share of it. Timeouts,
+// network errors, 5xx and 429 are retried with jittered exponential backoff;
+// a Retry-After header sets the wait and holds back every request to that
+// host until it passes.
+//
+// Failures throw an Error (name 'HttpError') whose `kind` says what happened:
+//   timeout       No response before the deadline
+//   network       Connection failed (DNS, refused, reset, TLS)
+//   rate_limited  HTTP 429, or the host's rate limit has no slot before the deadline (retryAfterMs)
+//   server        HTTP 5xx
+//   client        Other HTTP 4xx (retrying won't help)
+//   parse         The body isn't valid JSON
+// plus `status` and `body` for HTTP errors and `retryable`.
+//
+// HTTP_TIMEOUT_MS  Default deadline per request (default 8000)
+//
+// Requests are sent with the global fetch unless setFetch() installs another
+// one; FETCH_FIXTURES / FETCH_FAULTS install the fixture fetch (see fixtures.js).
+// An offline fetch (fixture replay, test stubs) answers without touching the
+// APIs, so rate limits, Retry-After holds and backoff waits are skipped for it.
+
+import { logger } from './logger.js';
+import { httpRetries } from './metrics.js';
+import { fixtureFetchFromEnv } from './fixtures.js';
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.HTTP_TIMEOUT_MS ?? '8000');
+const DEFAULT_RETRIES = 2;          // Extra attempts for GET/HEAD (other methods opt in)
+const BACKOFF_BASE_MS = 250;        // First retry waits up to this, doubling each time
+const BACKOFF_MAX_MS = 4000;
+const MAX_ERROR_BODY = 2000;        // Characters of an error response kept on the error
+
+const RETRYABLE = ['timeout', 'network', 'rate_limited', 'server'];
+const IDEMPOTENT = ['GET', 'HEAD'];
+
+// Token buckets per host, matched to each API's public limits
+// (perSecond = refill rate, burst = bucket size). Other hosts are unlimited.
+const RATE_LIMITS = {
+  'api.kraken.com': { perSecond: 1, burst: 10 },              // ~1 req/s per IP
+  'api.exchange.coinbase.com': { perSecond: 10, burst: 15 },  // 10 req/s, bursts of 15
+  'api.coinbase.com': { perSecond: 2.5, burst: 10 },          // 10,000 req/hour
+  'api.bybit.com': { perSecond: 120, burst: 120 },            // 600 req per 5s per IP
+  'api.coingecko.com': { perSecond: 0.2, burst: 3 },          // Keyless tier: ~10-30 req/min
+  'min-api.cryptocompare.com': { perSecond: 5, burst: 10 },   // Free tier
+  'gamma-api.polymarket.com': { perSecond: 10, burst: 30 },
+};
+
+const buckets = new Map(); // host -> { tokens, updatedAt, blockedUntil }
+let fetchImpl = null; // null = global fetch
+let offline = false;  // Skip rate limits and backoff (nothing reaches the APIs)
+
+/**
+ * Send requests through another fetch (e.g. fixtures or a stub); null restores the global fetch
+ * offline defaults to the fetch's own `offline` flag (set by fixture replay).
+ */
+export function setFetch(fn, { offline: isOffline = Boolean(fn?.offline) } = {}) {
+  fetchImpl = fn;
+  offline = isOffline;
+}
+
+setFetch(fixtureFetchFromEnv());
+
+/**
+ * Sleep helper
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Build a typed HTTP error
+ */
+function httpError(kind, message, fields = {}) {
+  const error = new Error(message);
+  error.name = 'HttpError';
+  error.kind = kind;
+  error.retryable = RETRYABLE.includes(kind);
+  return Object.assign(error, fields);
+}
+
+/**
+ * A host's token bucket (null when it has no limit)
+ */
+function getBucket(host) {
+  const limit = RATE_LIMITS[host];
+  if (!limit) return null;
+
+  if (!buckets.has(host)) {
+    buckets.set(host, { ...limit, tokens: limit.burst, updatedAt: Date.now(), blockedUntil: 0 });
+  }
+  return buckets.get(host);
+}
+
+/**
+ * Wait for a request slot on a host (throws rate_limited if none comes before the deadline)
+ */
+async function takeToken(host, deadline) {
+  if (offline) return;
+  const bucket = getBucket(host);
+
+  for (;;) {
+    const now = Date.now();
+    let waitMs = bucket ? bucket.blockedUntil - now : 0;
+
+    if (bucket && waitMs <= 0) {
+      bucket.tokens = Math.min(bucket.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.perSecond);
+      bucket.updatedAt = now;
+      if (bucket.tokens >= 1) {
+        bucket.tokens--;
+        return;
+      }
+      waitMs = Math.ceil(((1 - bucket.tokens) / bucket.perSecond) * 1000);
+    }
+    if (waitMs <= 0) return;
+
+    if (now + waitMs >= deadline) {
+      throw httpError('rate_limited', `Rate limit for ${host}: no request slot for ${waitMs}ms`, {
+        retryAfterMs: waitMs,
+      });
+    }
+    await sleep(waitMs);
+  }
+}
+
+/**
+ * Hold back requests to a host (after it answered 429/503 with Retry-After)
+ */
+function blockHost(host, ms) {
+  if (offline) return;
+  const bucket = getBucket(host);
+  if (bucket) bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + ms);
+}
+
+/**
+ * Retry-After header in ms (seconds or an HTTP date), null if absent
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value) * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Typed error for a non-2xx response
+ */
+async function statusError(response) {
+  const { status } = response;
+  const body = (await response.text().catch(() => '')).slice(0, MAX_ERROR_BODY);
+  const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+
+  const kind = status === 429 ? 'rate_limited' : status >= 500 ? 'server' : 'client';
+  return httpError(kind, `HTTP ${status}`, { status, body, retryAfterMs });
+}
+
+/**
+ * One attempt, aborted after timeoutMs
+ */
+async function attempt(url, init, timeoutMs) {
+  try {
+    return await (fetchImpl ?? fetch)(url, { ...init, signal: AbortSignal.timeout(Math.max(1, timeoutMs)) });
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw httpError('timeout', `Timed out: ${new URL(url).host}`);
+    }
+    throw httpError('network', `Network error: ${error.cause?.code || error.message}`);
+  }
+}
+
+/**
+ * Wait before the next attempt: Retry-After when given, else full-jitter backoff
+ */
+function retryDelay(error, attemptIndex) {
+  if (offline) return 0;
+  if (error.retryAfterMs != null) return error.retryAfterMs;
+  return Math.round(Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attemptIndex));
+}
+
+/**
+ * Fetch with a deadline, retries and the host's rate limit
+ * Returns the Response (2xx only); throws an HttpError otherwise.
+ * Options: method, headers, body, timeoutMs, retries
+ */
+export async function httpRequest(url, options = {}) {
+  const { method = 'GET', headers, body, timeoutMs = DEFAULT_TIMEOUT_MS } = options;
+  const retries = options.retries ?? (IDEMPOTENT.includes(method) ? DEFAULT_RETRIES : 0);
+  const { host } = new URL(url);
+  const deadline = Date.now() + timeoutMs;
+  const attemptTimeoutMs = Math.ceil(timeoutMs / (retries + 1));
+
+  for (let attemptIndex = 0; ; attemptIndex++) {
+    let error;
+    try {
+      await takeToken(host, deadline);
+      const response = await attempt(url, { method, headers, body }, Math.min(attemptTimeoutMs, deadline - Date.now()));
+      if (response.ok) return response;
+      error = await statusError(response);
+    } catch (e) {
+      if (e.name !== 'HttpError') throw e;
+      error = e;
+    }
+
+    // The server told us when to come back: every caller waits for it
+    if (error.status && error.retryable && error.retryAfterMs != null) blockHost(host, error.retryAfterMs);
+
+    const delayMs = retryDelay(error, attemptIndex);
+    if (!error.retryable || attemptIndex >= retries || Date.now() + delayMs >= deadline) throw error;
+
+    httpRetries.inc({ host, kind: error.kind });
+    logger.debug('Retrying request', { host, attempt: attemptIndex + 1, error_kind: error.kind, delay_ms: delayMs });
+    await sleep(delayMs);
+  }
+}
+
+/**
+ * httpRequest() and parse the JSON body (null when empty)
+ */
+export async function fetchJson(url, options = {}) {
+  const response = await httpRequest(url, options);
+  const text = await response.text();
+  if (!text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw httpError('parse', `Invalid JSON from ${new URL(url).host}`, { status: response.status });
+  }
+}
+
+export default { setFetch, httpRequest, fetchJson, parseRetryAfter };
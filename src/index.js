@@ -2,141 +2,451 @@
 // This keeps running and generates signals at the right intervals
 
 import cron from 'node-cron';
-import { supabase } from './supabase.js';
-import { generateSignal } from './signalGenerator.js';
-import { fetchPrice } from './priceFetcher.js';
+import { supabase, supabaseConfigured, reportMissingCredentials } from './supabase.js';
+import { generateProfileSignals, setCalibrationModels, PROFILES } from './signalGenerator.js';
+import { fetchPrice, fetchKlines, setKlineCache } from './priceFetcher.js';
+import { resolveOutcomes } from './outcomeResolver.js';
+import { createTickStore } from './tickStore.js';
+import { startPriceStream } from './priceStream.js';
+import { syncAllCandles, getCachedKlines } from './candleStore.js';
+import { loadCalibrationModels, getCalibrationModel } from './calibrationStore.js';
+import {
+  fetchActiveCalls,
+  commitSignals,
+  expireSignals,
+  invalidateSignals,
+  setTransitionListener,
+} from './signalLifecycle.js';
+import { notifySignals, notifyTransitions, flushDeferredNotifications } from './notifications.js';
+import { loadMarkets, getActiveMarkets, getActiveSymbols } from './marketRegistry.js';
+import { recordPriceUpdate, recordSignal, recordStartupComplete } from './serviceStatus.js';
+import { startServer } from './server.js';
+import { getStrategies, getEnabledStrategies } from './strategies/index.js';
+import { logger } from './logger.js';
+import { supabaseWriteFailures } from './metrics.js';
+import { runJob, trackJob, drainJobs, withLease } from './jobRunner.js';
+import { loadConfig, getConfigHash, watchConfig } from './config.js';
 
-const MARKETS = ['BTC', 'ETH', 'SOL'];
+// Streaming prices (set PRICE_STREAM=off to use REST polling only)
+const STREAM_ENABLED = process.env.PRICE_STREAM !== 'off';
+const STREAM_FLUSH_MS = 5000;   // Throttle for markets table writes from the stream
+const STREAM_FRESH_MS = 60000;  // Poll REST for a symbol once its stream is this stale
 
-console.log('═══════════════════════════════════════════════════');
-console.log('  POLYMARKET PREDICTOR - Signal Backend Service');
-console.log('═══════════════════════════════════════════════════');
-console.log(`  Started: ${new Date().toISOString()}`);
-console.log('═══════════════════════════════════════════════════');
+const SIGNAL_LEASE_MS = 2 * 60 * 1000; // A crashed instance's market/timeframe lease frees up after this
+const SHUTDOWN_TIMEOUT_MS = 25000;     // How long SIGTERM waits for running jobs
+
+// Persistent candle history (set CANDLE_STORE=off to always fetch klines from the exchanges)
+const CANDLE_STORE_ENABLED = process.env.CANDLE_STORE !== 'off';
+
+// Calibrated confidence (set CALIBRATION=off to publish raw confidence)
+const CALIBRATION_ENABLED = process.env.CALIBRATION !== 'off';
+
+const tickStore = createTickStore();
+const lastFlushed = new Map(); // symbol -> tick time last written to markets
+const latestPrices = new Map(); // symbol -> last price written to markets
+let priceStream = null;
+let flushTimer = null;
+let streamedSymbols = '';
+
+// Read klines from the candle store while it is in sync
+if (CANDLE_STORE_ENABLED) setKlineCache(getCachedKlines);
+
+// Map confidence through the latest fitted calibration per strategy and timeframe
+if (CALIBRATION_ENABLED) setCalibrationModels(getCalibrationModel);
+
+// Push invalidated/withdrawn calls to subscribers
+setTransitionListener(notifyTransitions);
+
+logger.info('Signal backend starting');
+
+if (!supabaseConfigured) {
+  reportMissingCredentials();
+  process.exit(1);
+}
+
+// Refuse to start on an invalid config (every problem is listed)
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  logger.error('Invalid config', { problems: error.problems ?? [error.message] });
+  process.exit(1);
+}
+
+/**
+ * Write a price snapshot to the markets table
+ */
+async function writeMarketPrice(market, priceData) {
+  const { error } = await supabase
+    .from('markets')
+    .update({
+      current_price: priceData.price,
+      open_price: priceData.open,
+      high_24h: priceData.high,
+      low_24h: priceData.low,
+      volume_24h: priceData.volume,
+      price_updated_at: new Date().toISOString(),
+    })
+    .eq('id', market.id);
+
+  if (error) {
+    supabaseWriteFailures.inc({ table: 'markets' });
+    throw new Error(error.message);
+  }
+  latestPrices.set(market.symbol, priceData.price);
+  recordPriceUpdate(market.id, priceData.source);
+}
 
 /**
- * Update market prices
+ * Update market prices (REST polling for symbols without a live stream)
  */
 async function updatePrices() {
-  console.log(`\n[${new Date().toISOString()}] 💰 Updating prices...`);
-  
-  for (const symbol of MARKETS) {
+  const markets = getActiveMarkets()
+    .filter(market => !(STREAM_ENABLED && tickStore.isFresh(market.symbol, STREAM_FRESH_MS)));
+  if (markets.length === 0) return;
+
+  for (const market of markets) {
+    try {
+      const priceData = await fetchPrice(market.symbol);
+      await writeMarketPrice(market, priceData);
+
+      logger.info('Price updated', { market: market.id, price: priceData.price, source: priceData.source });
+    } catch (error) {
+      logger.error('Price update failed', { market: market.id, error });
+    }
+  }
+}
+
+/**
+ * Write the latest streamed ticks to the markets table (throttled)
+ */
+async function flushStreamPrices() {
+  for (const market of getActiveMarkets()) {
+    const tick = tickStore.getLatest(market.symbol);
+    if (!tick || tick.time === lastFlushed.get(market.symbol)) continue;
+
     try {
-      const priceData = await fetchPrice(symbol);
-      
-      await supabase
-        .from('markets')
-        .update({
-          current_price: priceData.price,
-          open_price: priceData.open,
-          high_24h: priceData.high,
-          low_24h: priceData.low,
-          volume_24h: priceData.volume,
-          price_updated_at: new Date().toISOString(),
-        })
-        .eq('id', `${symbol.toLowerCase()}-usd`);
-
-      console.log(`   ${symbol}: $${priceData.price.toLocaleString()}`);
+      await writeMarketPrice(market, tick);
+      lastFlushed.set(market.symbol, tick.time);
     } catch (error) {
-      console.error(`   ❌ ${symbol}: ${error.message}`);
+      logger.error('Streamed price write failed', { market: market.id, source: tick.source, error });
     }
   }
 }
 
 /**
- * Check if signal needs regeneration
+ * Seed the tick store with REST candles, then (re)start the WebSocket feeds
+ * for the current market list
  */
-async function needsRegeneration(marketId, timeframe) {
+async function startStreaming() {
+  const symbols = getActiveSymbols();
+  if (symbols.join(',') === streamedSymbols) return;
+
+  const known = streamedSymbols.split(',');
+  for (const symbol of symbols.filter(s => !known.includes(s))) {
+    for (const interval of tickStore.intervals) {
+      try {
+        tickStore.seed(symbol, interval, await fetchKlines(symbol, interval, 100));
+      } catch (error) {
+        logger.error('Tick store seed failed', { symbol, interval, error });
+      }
+    }
+  }
+
+  priceStream?.stop();
+  priceStream = startPriceStream({ store: tickStore, symbols });
+  streamedSymbols = symbols.join(',');
+}
+
+/**
+ * Sync stored candles for active markets (backfills new markets, repairs gaps)
+ */
+async function syncStoredCandles() {
+  await syncAllCandles(getActiveSymbols());
+}
+
+/**
+ * Reload the market list from Supabase
+ */
+async function refreshMarkets() {
+  try {
+    await loadMarkets();
+    if (STREAM_ENABLED) await startStreaming();
+  } catch (error) {
+    logger.error('Market refresh failed', { error });
+  }
+}
+
+/**
+ * Publish the registered strategies so the app can list and select them
+ */
+async function syncStrategies() {
+  const enabled = getEnabledStrategies().map(s => s.id);
+  const { error } = await supabase
+    .from('strategies')
+    .upsert(getStrategies().map(strategy => ({
+      id: strategy.id,
+      name: strategy.name,
+      description: strategy.description,
+      weights: strategy.weights,
+      is_active: enabled.includes(strategy.id),
+    })), { onConflict: 'id' });
+
+  if (error) {
+    supabaseWriteFailures.inc({ table: 'strategies' });
+    logger.error('Strategy sync failed', { error });
+  }
+}
+
+/**
+ * Profiles whose active signal's hold period has passed (or that have none)
+ */
+async function profilesNeedingRegeneration(marketId, timeframe, strategy) {
   const { data } = await supabase
     .from('signals')
-    .select('hold_until')
+    .select('profile')
     .eq('market_id', marketId)
     .eq('timeframe', timeframe)
-    .order('generated_at', { ascending: false })
-    .limit(1)
-    .single();
+    .eq('strategy_id', strategy.id)
+    .eq('status', 'active')
+    .gt('hold_until', new Date().toISOString());
 
-  if (!data) return true;
-  return new Date() > new Date(data.hold_until);
+  const held = new Set((data || []).map(s => s.profile));
+  return PROFILES.filter(profile => !held.has(profile));
 }
 
 /**
- * Generate signals for a timeframe
+ * Score a market/timeframe once and store a signal per profile (no hold check)
+ * Calls that don't clear the lifecycle's hysteresis leave the active signal in place.
  */
-async function generateSignals(timeframe) {
-  console.log(`\n[${new Date().toISOString()}] 🎯 Checking ${timeframe} signals...`);
-  
-  for (const symbol of MARKETS) {
-    const marketId = `${symbol.toLowerCase()}-usd`;
-    
-    if (!(await needsRegeneration(marketId, timeframe))) {
-      console.log(`   ⏭️  ${symbol}: Still valid`);
+async function publishSignals(market, timeframe, strategy, profiles = PROFILES, { manual = false } = {}) {
+  const signals = await generateProfileSignals(market.symbol, timeframe, {
+    profiles,
+    store: tickStore,
+    marketId: market.id,
+    strategy,
+    polymarketSlugs: market.polymarketSlugs,
+    activeCalls: await fetchActiveCalls(timeframe, strategy.id),
+  });
+
+  const published = await commitSignals(signals, { manual });
+  published.forEach(recordSignal);
+  await notifySignals(published);
+  return published;
+}
+
+/**
+ * Generate and publish signals for one market/timeframe (every enabled strategy)
+ */
+async function generateMarketSignals(market, timeframe) {
+  for (const strategy of getEnabledStrategies()) {
+    const context = { market: market.id, timeframe, strategy: strategy.id };
+    const profiles = await profilesNeedingRegeneration(market.id, timeframe, strategy);
+    if (profiles.length === 0) {
+      logger.debug('Signals still held', context);
       continue;
     }
 
     try {
-      const signal = await generateSignal(symbol, timeframe, 'aggressive');
-      
-      const { error } = await supabase
-        .from('signals')
-        .insert(signal);
-
-      if (error) {
-        console.error(`   ❌ ${symbol}: ${error.message}`);
-      } else {
-        console.log(`   ✅ ${symbol}: ${signal.direction} (${signal.confidence ?? 'FLAT'})`);
+      const signals = await publishSignals(market, timeframe, strategy, profiles);
+      for (const signal of signals) {
+        logger.info('Signal published', {
+          ...context,
+          profile: signal.profile,
+          direction: signal.direction,
+          confidence: signal.confidence,
+          tradeable: signal.tradeable,
+        });
       }
     } catch (error) {
-      console.error(`   ❌ ${symbol}: ${error.message}`);
+      logger.error('Signal publish failed', { ...context, error });
+    }
+  }
+}
+
+/**
+ * Lease key for generating a market/timeframe
+ */
+function signalLeaseKey(market, timeframe) {
+  return `signals:${market.id}:${timeframe}`;
+}
+
+/**
+ * Generate signals for a timeframe
+ * Each market/timeframe is leased, so only one instance generates it at a time.
+ */
+async function generateSignals(timeframe) {
+  for (const market of getActiveMarkets(timeframe)) {
+    try {
+      await withLease(signalLeaseKey(market, timeframe), SIGNAL_LEASE_MS, () => generateMarketSignals(market, timeframe));
+    } catch (error) {
+      logger.error('Signal generation skipped', { market: market.id, timeframe, error });
     }
   }
 }
 
+/**
+ * Expire signals whose window ended and invalidate calls the price ran against
+ */
+async function updateSignalLifecycle() {
+  try {
+    await expireSignals();
+    await invalidateSignals(symbol => tickStore.getLatest(symbol)?.price ?? latestPrices.get(symbol));
+  } catch (error) {
+    logger.error('Signal lifecycle update failed', { error });
+  }
+}
+
+/**
+ * Grade signals whose window has closed
+ */
+async function resolveSignalOutcomes() {
+  try {
+    const outcomes = await resolveOutcomes();
+    logger.info('Outcomes resolved', { count: outcomes.length });
+  } catch (error) {
+    logger.error('Outcome resolution failed', { error });
+  }
+}
+
+/**
+ * Send pushes whose quiet hours have ended
+ */
+async function sendDeferredNotifications() {
+  try {
+    const sent = await flushDeferredNotifications();
+    if (sent > 0) logger.info('Deferred notifications sent', { users: sent });
+  } catch (error) {
+    logger.error('Deferred notification flush failed', { error });
+  }
+}
+
 // ═══════════════════════════════════════════════════
 // CRON SCHEDULES
 // ═══════════════════════════════════════════════════
 
-// Update prices every 30 seconds
-cron.schedule('*/30 * * * * *', () => {
-  updatePrices();
+const { schedules } = config;
+
+// Reload markets (new/paused assets, symbol mappings)
+cron.schedule(schedules.markets, () => {
+  runJob('markets', refreshMarkets);
+});
+
+// Sync candles (klines are then read locally)
+if (CANDLE_STORE_ENABLED) {
+  cron.schedule(schedules.candles, () => {
+    runJob('candles', syncStoredCandles);
+  });
+}
+
+// Update prices (REST fallback when streaming)
+cron.schedule(schedules.prices, () => {
+  runJob('prices', updatePrices);
+});
+
+// Check signals per timeframe (generates profiles whose hold_until passed)
+cron.schedule(schedules.signals15m, () => {
+  runJob('signals-15m', () => generateSignals('15m'));
 });
 
-// Check 15m signals every minute (generates if hold_until passed)
-cron.schedule('* * * * *', () => {
-  generateSignals('15m');
+cron.schedule(schedules.signals1h, () => {
+  runJob('signals-1h', () => generateSignals('1h'));
 });
 
-// Check 1h signals every 5 minutes
-cron.schedule('*/5 * * * *', () => {
-  generateSignals('1h');
+cron.schedule(schedules.signalsDaily, () => {
+  runJob('signals-daily', () => generateSignals('daily'));
 });
 
-// Check daily signals every 15 minutes
-cron.schedule('*/15 * * * *', () => {
-  generateSignals('daily');
+// Expire/invalidate active signals
+cron.schedule(schedules.lifecycle, () => {
+  runJob('lifecycle', updateSignalLifecycle);
 });
 
+// Pick up newly fitted calibration models
+if (CALIBRATION_ENABLED) {
+  cron.schedule(schedules.calibration, () => {
+    runJob('calibration', loadCalibrationModels);
+  });
+}
+
+// Resolve outcomes (after each 15m/1h/daily window closes)
+cron.schedule(schedules.outcomes, () => {
+  runJob('outcomes', resolveSignalOutcomes);
+});
+
+// Send pushes deferred through users' quiet hours
+cron.schedule(schedules.notifications, () => {
+  runJob('notifications', sendDeferredNotifications);
+});
+
+// Scoring and gate settings reload when the config file changes
+// (the strategies table is refreshed with the new weights)
+watchConfig({ onReload: () => runJob('strategies', syncStrategies) });
+
 // ═══════════════════════════════════════════════════
 // STARTUP
 // ═══════════════════════════════════════════════════
 
-console.log('\n📅 Scheduled jobs:');
-console.log('   • Prices: Every 30 seconds');
-console.log('   • 15m signals: Every minute (if needed)');
-console.log('   • 1h signals: Every 5 minutes (if needed)');
-console.log('   • Daily signals: Every 15 minutes (if needed)');
-console.log('\n🟢 Service running. Press Ctrl+C to stop.\n');
+logger.info('Service running', {
+  jobs: [
+    `markets: ${schedules.markets}`,
+    ...(CANDLE_STORE_ENABLED ? [`candles: ${schedules.candles}`] : []),
+    STREAM_ENABLED ? `prices: streaming, REST ${schedules.prices} if stale` : `prices: ${schedules.prices}`,
+    `signals-15m: ${schedules.signals15m} (if needed)`,
+    `signals-1h: ${schedules.signals1h} (if needed)`,
+    `signals-daily: ${schedules.signalsDaily} (if needed)`,
+    `lifecycle: ${schedules.lifecycle}`,
+    ...(CALIBRATION_ENABLED ? [`calibration: ${schedules.calibration}`] : []),
+    `outcomes: ${schedules.outcomes}`,
+    `notifications: ${schedules.notifications}`,
+  ],
+  strategies: getEnabledStrategies().map(s => s.id),
+  config_hash: getConfigHash(),
+});
+
+// HTTP API (health checks, latest signals, manual regeneration)
+// Regeneration takes the same lease as the scheduled run for that market/timeframe
+// (null when another run holds it) and is drained on shutdown like any job.
+const server = startServer({
+  regenerate: (market, timeframe, strategy, profiles) => trackJob('regenerate', async () => {
+    logger.info('Manual regeneration', { market: market.id, timeframe, strategy: strategy.id, profiles });
+    const { acquired, result } = await withLease(signalLeaseKey(market, timeframe), SIGNAL_LEASE_MS, () => (
+      publishSignals(market, timeframe, strategy, profiles, { manual: true })
+    ));
+    return acquired ? result : null;
+  }),
+});
 
 // Initial run
 (async () => {
-  await updatePrices();
-  await generateSignals('15m');
-  await generateSignals('1h');
-  await generateSignals('daily');
+  await runJob('strategies', syncStrategies);
+  await runJob('markets', refreshMarkets);
+  if (CANDLE_STORE_ENABLED) await runJob('candles', syncStoredCandles);
+  if (CALIBRATION_ENABLED) await runJob('calibration', loadCalibrationModels);
+  if (STREAM_ENABLED) flushTimer = setInterval(() => runJob('stream-prices', flushStreamPrices), STREAM_FLUSH_MS);
+  await runJob('prices', updatePrices);
+  await runJob('lifecycle', updateSignalLifecycle);
+  await runJob('signals-15m', () => generateSignals('15m'));
+  await runJob('signals-1h', () => generateSignals('1h'));
+  await runJob('signals-daily', () => generateSignals('daily'));
+  await runJob('outcomes', resolveSignalOutcomes);
+  recordStartupComplete();
 })();
 
-// Keep process alive
-process.on('SIGINT', () => {
-  console.log('\n\n👋 Shutting down...');
+/**
+ * Stop scheduling, let running jobs finish, then exit
+ */
+async function shutdown(signal) {
+  logger.info('Shutting down', { signal });
+  cron.getTasks().forEach(task => task.stop());
+  clearInterval(flushTimer);
+  priceStream?.stop();
+  server.close();
+
+  const unfinished = await drainJobs(SHUTDOWN_TIMEOUT_MS);
+  if (unfinished.length > 0) logger.warn('Exiting with jobs still running', { jobs: unfinished });
   process.exit(0);
-});
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,226 @@
+// Technical Indicators - Standard definitions
+// Series functions return one value per input (null until enough data);
+// the rest return the latest value, or null when there is not enough data.
+// Klines use the { open, high, low, close, volume } shape from fetchKlines.
+
+/**
+ * Simple moving average series
+ */
+export function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  }
+  return result;
+}
+
+/**
+ * Exponential moving average series (seeded with the SMA of the first period)
+ */
+export function ema(values, period) {
+  const result = new Array(values.length).fill(null);
+  if (values.length < period) return result;
+
+  const multiplier = 2 / (period + 1);
+  let value = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  result[period - 1] = value;
+
+  for (let i = period; i < values.length; i++) {
+    value = (values[i] - value) * multiplier + value;
+    result[i] = value;
+  }
+  return result;
+}
+
+/**
+ * Wilder smoothing series (RMA): first value is the SMA, then
+ * prev + (value - prev) / period
+ */
+function wilder(values, period) {
+  const result = new Array(values.length).fill(null);
+  if (values.length < period) return result;
+
+  let value = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  result[period - 1] = value;
+
+  for (let i = period; i < values.length; i++) {
+    value = value + (values[i] - value) / period;
+    result[i] = value;
+  }
+  return result;
+}
+
+/**
+ * Last value of a series (null when empty; callers check the length, so it is set)
+ */
+function last(series) {
+  const value = series[series.length - 1];
+  return value === undefined ? null : value;
+}
+
+/**
+ * RSI with Wilder smoothing over the full history
+ */
+export function rsi(closes, period = 14) {
+  if (closes.length < period + 1) return null;
+
+  const gains = [];
+  const losses = [];
+  for (let i = 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gains.push(Math.max(change, 0));
+    losses.push(Math.max(-change, 0));
+  }
+
+  const avgGain = last(wilder(gains, period));
+  const avgLoss = last(wilder(losses, period));
+
+  if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+  return 100 - 100 / (1 + avgGain / avgLoss);
+}
+
+/**
+ * MACD line, signal line (EMA of the MACD line) and histogram
+ */
+export function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  if (closes.length < slow + signalPeriod - 1) return null;
+
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const macdLine = closes
+    .map((_, i) => (slowEma[i] === null ? null : fastEma[i] - slowEma[i]))
+    .filter(value => value !== null);
+
+  const value = last(macdLine);
+  const signal = last(ema(macdLine, signalPeriod));
+  return { macd: value, signal, histogram: value - signal };
+}
+
+/**
+ * True range series (includes gaps from the previous close)
+ */
+export function trueRange(klines) {
+  return klines.map((k, i) => {
+    if (i === 0) return k.high - k.low;
+    const prevClose = klines[i - 1].close;
+    return Math.max(k.high - k.low, Math.abs(k.high - prevClose), Math.abs(k.low - prevClose));
+  });
+}
+
+/**
+ * Average true range series (Wilder), aligned with klines
+ */
+export function atrSeries(klines, period = 14) {
+  // Skip the first bar, which has no previous close
+  return [null, ...wilder(trueRange(klines).slice(1), period)].slice(0, klines.length);
+}
+
+/**
+ * Average true range (Wilder)
+ */
+export function atr(klines, period = 14) {
+  if (klines.length < period + 1) return null;
+  return last(atrSeries(klines, period));
+}
+
+/**
+ * Bollinger Bands (population standard deviation)
+ */
+export function bollingerBands(closes, period = 20, multiplier = 2) {
+  if (closes.length < period) return null;
+
+  const window = closes.slice(-period);
+  const middle = window.reduce((a, b) => a + b, 0) / period;
+  const stdDev = Math.sqrt(window.reduce((sum, c) => sum + (c - middle) ** 2, 0) / period);
+  const upper = middle + multiplier * stdDev;
+  const lower = middle - multiplier * stdDev;
+  const close = closes[closes.length - 1];
+
+  return {
+    middle,
+    upper,
+    lower,
+    bandwidth: middle === 0 ? 0 : (upper - lower) / middle,
+    percentB: upper === lower ? 0.5 : (close - lower) / (upper - lower),
+  };
+}
+
+/**
+ * Volume-weighted average price over the given klines (typical price)
+ */
+export function vwap(klines) {
+  let priceVolume = 0;
+  let volume = 0;
+  for (const k of klines) {
+    priceVolume += ((k.high + k.low + k.close) / 3) * k.volume;
+    volume += k.volume;
+  }
+  return volume > 0 ? priceVolume / volume : null;
+}
+
+/**
+ * Stochastic oscillator: %K and %D (SMA of %K)
+ */
+export function stochastic(klines, kPeriod = 14, dPeriod = 3) {
+  if (klines.length < kPeriod + dPeriod - 1) return null;
+
+  const kSeries = [];
+  for (let i = kPeriod - 1; i < klines.length; i++) {
+    const window = klines.slice(i - kPeriod + 1, i + 1);
+    const high = Math.max(...window.map(k => k.high));
+    const low = Math.min(...window.map(k => k.low));
+    kSeries.push(high === low ? 50 : ((klines[i].close - low) / (high - low)) * 100);
+  }
+
+  return { k: last(kSeries), d: last(sma(kSeries, dPeriod)) };
+}
+
+/**
+ * Average directional index with +DI/-DI (Wilder)
+ */
+export function adx(klines, period = 14) {
+  if (klines.length < period * 2 + 1) return null;
+
+  const plusDM = [];
+  const minusDM = [];
+  const ranges = trueRange(klines).slice(1);
+  for (let i = 1; i < klines.length; i++) {
+    const up = klines[i].high - klines[i - 1].high;
+    const down = klines[i - 1].low - klines[i].low;
+    plusDM.push(up > down && up > 0 ? up : 0);
+    minusDM.push(down > up && down > 0 ? down : 0);
+  }
+
+  const smoothedTR = wilder(ranges, period);
+  const smoothedPlus = wilder(plusDM, period);
+  const smoothedMinus = wilder(minusDM, period);
+
+  const dx = [];
+  let plusDI = null;
+  let minusDI = null;
+  for (let i = period - 1; i < ranges.length; i++) {
+    plusDI = smoothedTR[i] === 0 ? 0 : (smoothedPlus[i] / smoothedTR[i]) * 100;
+    minusDI = smoothedTR[i] === 0 ? 0 : (smoothedMinus[i] / smoothedTR[i]) * 100;
+    const sum = plusDI + minusDI;
+    dx.push(sum === 0 ? 0 : (Math.abs(plusDI - minusDI) / sum) * 100);
+  }
+
+  return { adx: last(wilder(dx, period)), plusDI, minusDI };
+}
+
+export default {
+  sma,
+  ema,
+  rsi,
+  macd,
+  trueRange,
+  atrSeries,
+  atr,
+  bollingerBands,
+  vwap,
+  stochastic,
+  adx,
+};
@@ -0,0 +1,176 @@
+// Job Runner - Scheduled jobs that never overlap, with cross-instance leases
+// A job that is still running when its schedule fires again is skipped.
+// withLease() makes one instance the owner of a piece of work (e.g. a
+// market/timeframe) through the job_leases table, so replicas don't duplicate it.
+// trackJob() does the same bookkeeping for work a caller waits on (API requests).
+// drainJobs() stops new runs and waits for the ones in flight (graceful shutdown).
+//
+// Table job_leases: key (primary key), holder, acquired_at, expires_at
+//
+// INSTANCE_ID  Lease holder name (defaults to hostname-pid)
+
+import { hostname } from 'node:os';
+import { randomUUID } from 'node:crypto';
+import { supabase } from './supabase.js';
+import { logger, withLogContext } from './logger.js';
+import { jobDuration, jobsSkipped } from './metrics.js';
+
+export const INSTANCE_ID = process.env.INSTANCE_ID || `${hostname()}-${process.pid}`;
+
+const running = new Map(); // job -> promise of the current run
+let draining = false;
+
+/**
+ * Run a job unless its previous run is still going (or we're shutting down).
+ * Every log line inside carries its job name and job_id; its duration is
+ * recorded in cron_job_duration_seconds. Never throws.
+ */
+export function runJob(job, fn) {
+  if (draining) {
+    jobsSkipped.inc({ job, reason: 'draining' });
+    return Promise.resolve();
+  }
+  if (running.has(job)) {
+    jobsSkipped.inc({ job, reason: 'overlap' });
+    logger.warn('Job still running, skipped this run', { job });
+    return running.get(job);
+  }
+
+  const run = withLogContext({ job, job_id: randomUUID().slice(0, 8) }, async () => {
+    const endTimer = jobDuration.startTimer({ job });
+    const started = Date.now();
+    try {
+      await fn();
+      endTimer({ outcome: 'ok' });
+      logger.debug('Job finished', { duration_ms: Date.now() - started });
+    } catch (error) {
+      endTimer({ outcome: 'error' });
+      logger.error('Job failed', { duration_ms: Date.now() - started, error });
+    } finally {
+      running.delete(job);
+    }
+  });
+
+  running.set(job, run);
+  return run;
+}
+
+/**
+ * Run work a caller waits for (e.g. manual regeneration) as a tracked job
+ * Unlike runJob() it may run alongside other runs of the same job, returns
+ * fn's result and throws its error. Refused with code 'SHUTTING_DOWN' while
+ * draining; drainJobs() waits for it.
+ */
+export async function trackJob(job, fn) {
+  if (draining) {
+    jobsSkipped.inc({ job, reason: 'draining' });
+    const error = new Error('Service is shutting down');
+    error.code = 'SHUTTING_DOWN';
+    throw error;
+  }
+
+  const jobId = randomUUID().slice(0, 8);
+  const run = withLogContext({ job, job_id: jobId }, async () => {
+    const endTimer = jobDuration.startTimer({ job });
+    try {
+      const result = await fn();
+      endTimer({ outcome: 'ok' });
+      return result;
+    } catch (error) {
+      endTimer({ outcome: 'error' });
+      throw error;
+    }
+  });
+
+  const key = `${job}#${jobId}`;
+  running.set(key, run.catch(() => {}));
+  try {
+    return await run;
+  } finally {
+    running.delete(key);
+  }
+}
+
+/**
+ * Stop starting jobs and wait for running ones (up to timeoutMs)
+ * Returns the names of jobs still running at the deadline.
+ */
+export async function drainJobs(timeoutMs = 25000) {
+  draining = true;
+  if (running.size === 0) return [];
+
+  logger.info('Waiting for running jobs', { jobs: [...running.keys()] });
+  let timer;
+  await Promise.race([
+    Promise.allSettled(running.values()),
+    new Promise((resolve) => { timer = setTimeout(resolve, timeoutMs); }),
+  ]);
+  clearTimeout(timer);
+  return [...running.keys()];
+}
+
+/**
+ * Take (or renew) a lease; false when another live instance holds it
+ */
+export async function acquireLease(key, ttlMs) {
+  const now = new Date();
+  const lease = {
+    key,
+    holder: INSTANCE_ID,
+    acquired_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + ttlMs).toISOString(),
+  };
+
+  // New key: insert (a concurrent insert by another instance wins the conflict)
+  const { data: inserted, error: insertError } = await supabase
+    .from('job_leases')
+    .upsert(lease, { onConflict: 'key', ignoreDuplicates: true })
+    .select('key');
+
+  if (insertError) throw new Error(`Failed to acquire lease ${key}: ${insertError.message}`);
+  if (inserted.length > 0) return true;
+
+  // Existing key: take it over only if it expired or is already ours
+  const { data: taken, error: updateError } = await supabase
+    .from('job_leases')
+    .update(lease)
+    .eq('key', key)
+    .or(`expires_at.lt.${now.toISOString()},holder.eq.${INSTANCE_ID}`)
+    .select('key');
+
+  if (updateError) throw new Error(`Failed to acquire lease ${key}: ${updateError.message}`);
+  return taken.length > 0;
+}
+
+/**
+ * Give up a lease we hold
+ */
+export async function releaseLease(key) {
+  const { error } = await supabase
+    .from('job_leases')
+    .delete()
+    .eq('key', key)
+    .eq('holder', INSTANCE_ID);
+
+  if (error) logger.warn('Failed to release lease', { lease: key, error });
+}
+
+/**
+ * Run fn only while holding the lease for key
+ * Returns { acquired, result }; the lease is released when fn settles and
+ * expires after ttlMs if this instance dies first.
+ */
+export async function withLease(key, ttlMs, fn) {
+  if (!(await acquireLease(key, ttlMs))) {
+    logger.debug('Lease held by another instance', { lease: key });
+    return { acquired: false };
+  }
+
+  try {
+    return { acquired: true, result: await fn() };
+  } finally {
+    await releaseLease(key);
+  }
+}
+
+export default { INSTANCE_ID, runJob, trackJob, drainJobs, acquireLease, releaseLease, withLease };
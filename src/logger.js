@@ -0,0 +1,77 @@
+// Logger - Structured JSON logs with levels and context fields
+// One JSON object per line: { time, level, msg, ...context, ...fields }.
+// Context comes from child loggers (e.g. market, timeframe) and from
+// withLogContext(), which tags everything logged inside a call (e.g. job_id).
+//
+// LOG_LEVEL   debug | info | warn | error (default info)
+// LOG_FORMAT  json (default) | pretty for reading logs in a terminal
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+const PRETTY = process.env.LOG_FORMAT === 'pretty';
+
+const scope = new AsyncLocalStorage();
+let infoStream = process.stdout; // debug/info lines; warn/error always go to stderr
+
+/**
+ * Make a field JSON-friendly (Errors become their message)
+ */
+function serialize(value) {
+  return value instanceof Error ? value.message : value;
+}
+
+/**
+ * Write one log line
+ */
+function write(level, context, msg, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const entry = { time: new Date().toISOString(), level, msg, ...scope.getStore(), ...context };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) entry[key] = serialize(value);
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : infoStream;
+  if (!PRETTY) {
+    stream.write(`${JSON.stringify(entry)}\n`);
+    return;
+  }
+
+  const { time, level: _level, msg: _msg, ...rest } = entry;
+  const pairs = Object.entries(rest)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${msg}${pairs.length ? `  ${pairs.join(' ')}` : ''}\n`);
+}
+
+/**
+ * Create a logger with fixed context fields
+ */
+export function createLogger(context = {}) {
+  return {
+    debug: (msg, fields = {}) => write('debug', context, msg, fields),
+    info: (msg, fields = {}) => write('info', context, msg, fields),
+    warn: (msg, fields = {}) => write('warn', context, msg, fields),
+    error: (msg, fields = {}) => write('error', context, msg, fields),
+    child: fields => createLogger({ ...context, ...fields }),
+  };
+}
+
+/**
+ * Run fn with extra context on every log line written inside it (including awaited calls)
+ */
+export function withLogContext(fields, fn) {
+  return scope.run({ ...scope.getStore(), ...fields }, fn);
+}
+
+/**
+ * Send every log line to stderr (for CLIs that write their output to stdout)
+ */
+export function logToStderr() {
+  infoStream = process.stderr;
+}
+
+export const logger = createLogger();
+
+export default { createLogger, withLogContext, logToStderr, logger };
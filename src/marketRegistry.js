@@ -0,0 +1,175 @@
+// Market Registry - Active markets loaded from the Supabase markets table
+// Adding or pausing an asset in the dashboard takes effect on the next refresh
+//
+// Columns used (all optional except id):
+//   id               'xrp-usd'
+//   symbol           'XRP' (defaults to the id prefix)
+//   is_active        false pauses the market
+//   timeframes       ['15m', '1h', 'daily'] (defaults to all)
+//   exchange_symbols { "CoinGecko": "ripple", "Kraken": "XRPUSD", ... }
+//   polymarket_slugs { "15m": "xrp-updown-15m-{start}", ... } (see polymarket.js)
+//   mapping_error    Written back when a market can't be priced or charted
+//
+// Until the table has been read, the markets config section is used
+// (fallbackSymbols, on defaultTimeframes).
+
+import { supabase } from './supabase.js';
+import { getAdapters, resolveSymbol, setSymbolMappings, getExchangeHealth } from './exchangeRegistry.js';
+import { TIMEFRAME_MINUTES } from './signalWindows.js';
+import { getConfig } from './config.js';
+import { logger } from './logger.js';
+
+let markets = null; // null until the table has been read successfully
+let loadedAt = null;
+
+/**
+ * Markets from config, used until the table has been read
+ */
+function fallbackMarkets() {
+  const { fallbackSymbols, defaultTimeframes } = getConfig().markets;
+  return fallbackSymbols.map(symbol => ({
+    id: `${symbol.toLowerCase()}-usd`,
+    symbol: symbol.toUpperCase(),
+    timeframes: [...defaultTimeframes],
+    exchangeSymbols: {},
+    polymarketSlugs: {},
+  }));
+}
+
+/**
+ * Markets in effect (loaded or fallback)
+ */
+function currentMarkets() {
+  return markets ?? fallbackMarkets();
+}
+
+/**
+ * Normalize a markets row
+ */
+function toMarket(row) {
+  const timeframes = Array.isArray(row.timeframes) && row.timeframes.length > 0
+    ? row.timeframes
+    : [...getConfig().markets.defaultTimeframes];
+
+  return {
+    id: row.id,
+    symbol: (row.symbol || row.id.split('-')[0]).toUpperCase(),
+    active: row.is_active !== false,
+    timeframes,
+    exchangeSymbols: row.exchange_symbols || {},
+    polymarketSlugs: row.polymarket_slugs || {},
+    mappingError: row.mapping_error ?? null,
+  };
+}
+
+/**
+ * Apply per-exchange symbol overrides from every market to the adapters
+ */
+function applySymbolMappings(list) {
+  const byExchange = {};
+  for (const market of list) {
+    for (const [exchange, exchangeSymbol] of Object.entries(market.exchangeSymbols)) {
+      byExchange[exchange] = { ...byExchange[exchange], [market.symbol]: exchangeSymbol };
+    }
+  }
+
+  setSymbolMappings(byExchange);
+}
+
+/**
+ * Describe why a market can't be served (null if it can)
+ */
+function validateMarket(market) {
+  const problems = [];
+
+  const exchanges = getExchangeHealth().map(h => h.name);
+  const unknownExchanges = Object.keys(market.exchangeSymbols).filter(name => !exchanges.includes(name));
+  if (unknownExchanges.length > 0) {
+    problems.push(`unknown exchanges in exchange_symbols: ${unknownExchanges.join(', ')}`);
+  }
+
+  const invalidTimeframes = market.timeframes.filter(tf => !TIMEFRAME_MINUTES[tf]);
+  if (invalidTimeframes.length > 0) {
+    problems.push(`unknown timeframes ${invalidTimeframes.join(', ')}`);
+  }
+  if (!getAdapters('ticker').some(adapter => resolveSymbol(adapter, market.symbol))) {
+    problems.push('no exchange mapping for prices');
+  }
+  if (!getAdapters('ohlc').some(adapter => resolveSymbol(adapter, market.symbol))) {
+    problems.push('no exchange mapping for candles');
+  }
+
+  return problems.length > 0 ? problems.join('; ') : null;
+}
+
+/**
+ * Load markets from Supabase and apply their exchange mappings
+ * Keeps the previous list if the table can't be read.
+ */
+export async function loadMarkets() {
+  const { data, error } = await supabase
+    .from('markets')
+    .select('*');
+
+  if (error) {
+    logger.error('Failed to load markets, keeping the known ones', { known: currentMarkets().length, error: error.message });
+    return currentMarkets();
+  }
+
+  const all = data.map(toMarket);
+  applySymbolMappings(all);
+
+  const loaded = [];
+  for (const market of all.filter(m => m.active)) {
+    const mappingError = validateMarket(market);
+
+    if (mappingError) {
+      logger.warn('Market skipped', { market: market.id, reason: mappingError });
+    } else {
+      market.timeframes = market.timeframes.filter(tf => TIMEFRAME_MINUTES[tf]);
+      loaded.push(market);
+    }
+
+    // Flag (or clear) the problem on the row so it shows in the dashboard
+    if (mappingError !== market.mappingError) {
+      const { error: flagError } = await supabase
+        .from('markets')
+        .update({ mapping_error: mappingError })
+        .eq('id', market.id);
+      if (flagError) logger.error('Failed to flag market mapping', { market: market.id, error: flagError.message });
+    }
+  }
+
+  const previous = currentMarkets().map(m => m.id).join(',');
+  markets = loaded;
+  loadedAt = new Date();
+
+  if (markets.map(m => m.id).join(',') !== previous) {
+    logger.info('Markets loaded', { markets: markets.map(m => m.symbol) });
+  }
+  return markets;
+}
+
+/**
+ * Active markets (optionally only those with a given timeframe enabled)
+ */
+export function getActiveMarkets(timeframe) {
+  const active = currentMarkets();
+  return timeframe ? active.filter(m => m.timeframes.includes(timeframe)) : active;
+}
+
+/**
+ * Active market symbols
+ */
+export function getActiveSymbols() {
+  return currentMarkets().map(m => m.symbol);
+}
+
+/**
+ * When the market list was last loaded (null if never)
+ */
+export function getMarketsLoadedAt() {
+  return loadedAt;
+}
+
+export default { loadMarkets, getActiveMarkets, getActiveSymbols, getMarketsLoadedAt };
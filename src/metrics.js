@@ -0,0 +1,157 @@
+// Metrics - Prometheus counters and histograms, served at GET /metrics
+// Values live in memory for the life of the process (text exposition format 0.0.4).
+
+const registry = new Map(); // name -> metric
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Escape a label value for the exposition format
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set ({a="1",b="2"}), '' when there are none
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Label values in declared order (missing labels are empty)
+ */
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+/**
+ * Register a counter
+ */
+export function counter(name, help, labelNames = []) {
+  const series = new Map(); // label key -> { labels, value }
+
+  const metric = {
+    inc(labels = {}, value = 1) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || { labels: picked, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    render() {
+      return [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+    },
+  };
+
+  registry.set(name, { type: 'counter', help, metric });
+  return metric;
+}
+
+/**
+ * Register a histogram (observations in seconds unless the name says otherwise)
+ */
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map(); // label key -> { labels, counts, sum, count }
+
+  const metric = {
+    observe(labels, value) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    /** Start timing; call the returned function with final labels to observe */
+    startTimer(labels = {}) {
+      const started = process.hrtime.bigint();
+      return (extra = {}) => {
+        metric.observe({ ...labels, ...extra }, Number(process.hrtime.bigint() - started) / 1e9);
+      };
+    },
+    render() {
+      return [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ]);
+    },
+  };
+
+  registry.set(name, { type: 'histogram', help, metric });
+  return metric;
+}
+
+/**
+ * Every registered metric in Prometheus text format
+ */
+export function renderMetrics() {
+  const lines = [];
+  for (const [name, { type, help, metric }] of registry) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...metric.render());
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Service metrics
+
+export const exchangeFetchDuration = histogram(
+  'exchange_fetch_duration_seconds',
+  'Exchange API call latency',
+  ['exchange', 'capability', 'outcome']
+);
+
+export const exchangeFallbacks = counter(
+  'exchange_fallbacks_total',
+  'Times a source failed and the next one was tried (from="all" when none answered)',
+  ['capability', 'from']
+);
+
+export const signalsGenerated = counter(
+  'signals_generated_total',
+  'Signals generated (before lifecycle checks)',
+  ['timeframe', 'strategy', 'profile', 'direction', 'tradeable']
+);
+
+export const httpRetries = counter(
+  'http_retries_total',
+  'Outbound HTTP requests retried, by host and error kind',
+  ['host', 'kind']
+);
+
+export const supabaseWriteFailures = counter(
+  'supabase_write_failures_total',
+  'Failed Supabase inserts, updates and upserts',
+  ['table']
+);
+
+export const jobDuration = histogram(
+  'cron_job_duration_seconds',
+  'Scheduled job run time',
+  ['job', 'outcome'],
+  [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]
+);
+
+export const jobsSkipped = counter(
+  'cron_jobs_skipped_total',
+  'Scheduled runs skipped because the previous run was still going (overlap) or the service is stopping (draining)',
+  ['job', 'reason']
+);
+
+export default {
+  counter,
+  histogram,
+  renderMetrics,
+  exchangeFetchDuration,
+  exchangeFallbacks,
+  httpRetries,
+  signalsGenerated,
+  supabaseWriteFailures,
+  jobDuration,
+  jobsSkipped,
+};
@@ -0,0 +1,129 @@
+// Multi-Timeframe - Trend on 15m, 1h, 4h and daily candles
+// Higher-timeframe trend nudges a signal's confidence toward it (confirm) and
+// blocks calls against the next timeframe up (veto).
+
+import { fetchKlines } from './priceFetcher.js';
+import { ema, macd, rsi } from './indicators.js';
+import { logger } from './logger.js';
+
+export const MTF_INTERVALS = ['15m', '1h', '4h', 'daily'];
+
+const KLINE_LIMIT = 100;
+const FAST_EMA = 20;
+const SLOW_EMA = 50;
+const MAX_ADJUSTMENT = 10;  // Confidence points when every higher timeframe agrees
+const MIN_STREAM_KLINES = 50;
+
+const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+
+/**
+ * Fetch klines for every timeframe (streamed candles when the tick store is live)
+ */
+export async function fetchTimeframeKlines(symbol, { store } = {}) {
+  const results = await Promise.all(MTF_INTERVALS.map(async (interval) => {
+    const streamed = store?.isFresh(symbol) && store.intervals.includes(interval)
+      ? store.getKlines(symbol, interval, KLINE_LIMIT)
+      : [];
+    if (streamed.length >= MIN_STREAM_KLINES) return [interval, streamed];
+
+    try {
+      return [interval, await fetchKlines(symbol, interval, KLINE_LIMIT)];
+    } catch (error) {
+      logger.warn('Klines unavailable', { symbol, interval, error });
+      return [interval, []];
+    }
+  }));
+
+  return Object.fromEntries(results);
+}
+
+/**
+ * Trend for one timeframe: close vs fast EMA, fast vs slow EMA and MACD
+ * histogram each vote +1/-1, averaged to a -1..1 score
+ */
+export function timeframeTrend(klines) {
+  const closes = klines.map(k => k.close);
+  if (closes.length < SLOW_EMA) return { trend: null, score: 0, bars: closes.length };
+
+  const close = closes[closes.length - 1];
+  const emaFast = ema(closes, FAST_EMA).at(-1);
+  const emaSlow = ema(closes, SLOW_EMA).at(-1);
+  const histogram = macd(closes)?.histogram ?? 0;
+
+  const score = (Math.sign(close - emaFast) + Math.sign(emaFast - emaSlow) + Math.sign(histogram)) / 3;
+
+  let trend = 'NEUTRAL';
+  if (score >= 0.5) trend = 'UP';
+  else if (score <= -0.5) trend = 'DOWN';
+
+  return {
+    trend,
+    score: round(score),
+    bars: closes.length,
+    close,
+    emaFast: round(emaFast, 6),
+    emaSlow: round(emaSlow, 6),
+    rsi: round(rsi(closes), 1),
+  };
+}
+
+/**
+ * Trend breakdown for every timeframe
+ */
+export function analyzeTimeframes(klinesByInterval) {
+  return Object.fromEntries(
+    MTF_INTERVALS.map(interval => [interval, timeframeTrend(klinesByInterval[interval] || [])])
+  );
+}
+
+/**
+ * Timeframes above a signal timeframe, nearest first
+ */
+function higherTimeframes(timeframe, breakdown) {
+  return MTF_INTERVALS
+    .slice(MTF_INTERVALS.indexOf(timeframe) + 1)
+    .filter(interval => breakdown[interval]?.trend);
+}
+
+/**
+ * Mean higher-timeframe trend score (-1..1), or null for the top timeframe
+ */
+export function timeframeAlignment(timeframe, breakdown) {
+  const higher = higherTimeframes(timeframe, breakdown);
+  if (higher.length === 0) return null;
+  return higher.reduce((sum, interval) => sum + breakdown[interval].score, 0) / higher.length;
+}
+
+/**
+ * Shift a 0-100 confidence toward the higher-timeframe trend
+ */
+export function applyTimeframeConfluence(confidence, timeframe, breakdown) {
+  const alignment = timeframeAlignment(timeframe, breakdown);
+  if (alignment === null) return { confidence, alignment };
+
+  const adjusted = Math.max(0, Math.min(100, confidence + alignment * MAX_ADJUSTMENT));
+  return { confidence: adjusted, alignment: round(alignment) };
+}
+
+/**
+ * A call passes unless the next timeframe up trends the other way
+ */
+export function checkTimeframeVeto(direction, timeframe, breakdown) {
+  if (direction === 'FLAT') return true;
+
+  const [next] = higherTimeframes(timeframe, breakdown);
+  if (!next) return true;
+
+  const opposite = direction === 'UP' ? 'DOWN' : 'UP';
+  return breakdown[next].trend !== opposite;
+}
+
+export default {
+  MTF_INTERVALS,
+  fetchTimeframeKlines,
+  timeframeTrend,
+  analyzeTimeframes,
+  timeframeAlignment,
+  applyTimeframeConfluence,
+  checkTimeframeVeto,
+};
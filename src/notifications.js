@@ -0,0 +1,482 @@
+// Notifications - Firebase Cloud Messaging pushes to the Android app
+// Sends new tradeable signals and lifecycle changes (invalidated, withdrawn)
+// to users whose subscriptions match. Pushes due during a user's quiet hours
+// are deferred and sent when they end (flushDeferredNotifications), unless the
+// call is no longer standing by then (refreshes of the same call still count).
+//
+// Tables:
+//   device_tokens              user_id, token, is_active
+//   notification_subscriptions user_id, market_id, timeframe, strategy_id, profile,
+//                              min_confidence, notify_lifecycle, quiet_start,
+//                              quiet_end, timezone, is_active
+//   notification_log           dedup_key (unique), user_id, signal_id, event,
+//                              status, error, sent_at, deliver_after, message
+//
+// FCM_SERVICE_ACCOUNT  Service account JSON (or a path to it); unset disables pushes
+// FCM_API_URL          FCM base URL (point it and FCM_TOKEN_URL at a local stand-in to test)
+// FCM_TOKEN_URL        OAuth token URL (defaults to the service account's token_uri)
+
+import { readFileSync } from 'node:fs';
+import { createSign } from 'node:crypto';
+import { supabase } from './supabase.js';
+import { DEFAULT_STRATEGY_ID } from './strategies/index.js';
+import { supabaseWriteFailures } from './metrics.js';
+import { httpRequest, fetchJson } from './httpClient.js';
+import { logger } from './logger.js';
+
+const FCM_API_URL = process.env.FCM_API_URL || 'https://fcm.googleapis.com';
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+const DEFAULT_PROFILE = 'aggressive';
+const TIMEOUT_MS = 10000;
+const FLUSH_BATCH = 100; // Deferred pushes sent per flush
+
+// FCM errors that mean the token will never work again
+const DEAD_TOKEN_ERRORS = ['UNREGISTERED', 'INVALID_ARGUMENT'];
+
+let serviceAccount;
+let accessToken = null; // { token, expiresAt }
+
+/**
+ * Service account credentials (null when pushes are disabled)
+ */
+function getServiceAccount() {
+  if (serviceAccount !== undefined) return serviceAccount;
+
+  const value = process.env.FCM_SERVICE_ACCOUNT;
+  if (!value) {
+    logger.warn('FCM_SERVICE_ACCOUNT not set, push notifications disabled');
+    serviceAccount = null;
+  } else {
+    serviceAccount = JSON.parse(value.trim().startsWith('{') ? value : readFileSync(value, 'utf8'));
+  }
+  return serviceAccount;
+}
+
+/**
+ * base64url encoding for JWT segments
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * OAuth access token for FCM (service account JWT exchange, cached until expiry)
+ */
+async function getAccessToken(account) {
+  if (accessToken && Date.now() < accessToken.expiresAt) return accessToken.token;
+
+  const tokenUrl = process.env.FCM_TOKEN_URL || account.token_uri || 'https://oauth2.googleapis.com/token';
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const claims = base64url(JSON.stringify({
+    iss: account.client_email,
+    scope: FCM_SCOPE,
+    aud: tokenUrl,
+    iat: now,
+    exp: now + 3600,
+  }));
+  const signature = createSign('RSA-SHA256').update(`${header}.${claims}`).sign(account.private_key, 'base64url');
+
+  const data = await fetchJson(tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion: `${header}.${claims}.${signature}`,
+    }),
+    timeoutMs: TIMEOUT_MS,
+    retries: 2, // Token exchange has no side effects
+  }).catch((error) => {
+    throw new Error(`FCM auth failed: ${error.message}`);
+  });
+  accessToken = {
+    token: data.access_token,
+    expiresAt: Date.now() + ((data.expires_in || 3600) - 60) * 1000,
+  };
+  return accessToken.token;
+}
+
+/**
+ * Send one message to one device token
+ * Returns { ok, error, deadToken }. Not retried: a send that timed out may
+ * still have been delivered, and a retry would push it twice.
+ */
+async function sendToDevice(account, token, message) {
+  const authorization = `Bearer ${await getAccessToken(account)}`;
+
+  try {
+    await httpRequest(`${FCM_API_URL}/v1/projects/${account.project_id}/messages:send`, {
+      method: 'POST',
+      headers: { Authorization: authorization, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        message: {
+          token,
+          notification: { title: message.title, body: message.body },
+          data: message.data,
+          android: { priority: 'high', notification: { channel_id: 'signals' } },
+        },
+      }),
+      timeoutMs: TIMEOUT_MS,
+      retries: 0,
+    });
+    return { ok: true };
+  } catch (error) {
+    if (!error.status) throw error;
+
+    let data = {};
+    try { data = JSON.parse(error.body); } catch (parseError) { /* Not JSON */ }
+    const code = data.error?.details?.find(d => d.errorCode)?.errorCode || data.error?.status;
+    return {
+      ok: false,
+      error: `HTTP ${error.status}${code ? ` ${code}` : ''}`,
+      deadToken: error.status === 404 || DEAD_TOKEN_ERRORS.includes(code),
+    };
+  }
+}
+
+/**
+ * Local HH:MM for a timezone
+ */
+function localTime(date, timezone) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone || 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).format(date);
+}
+
+/**
+ * Whether a subscription is inside its quiet hours (start may be after end, e.g. 22:00-07:00)
+ */
+export function inQuietHours(subscription, date = new Date()) {
+  const start = subscription.quiet_start?.slice(0, 5);
+  const end = subscription.quiet_end?.slice(0, 5);
+  if (!start || !end || start === end) return false;
+
+  const now = localTime(date, subscription.timezone);
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * When a subscription's quiet hours end, from a time inside them
+ */
+export function quietHoursEnd(subscription, date = new Date()) {
+  const minutesOf = time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+  const now = minutesOf(localTime(date, subscription.timezone));
+  const minutesLeft = (minutesOf(subscription.quiet_end) - now + 1440) % 1440;
+
+  const end = new Date(date.getTime() + minutesLeft * 60000);
+  end.setUTCSeconds(0, 0);
+  return end;
+}
+
+/**
+ * A call that refreshes keep: series, direction and window (expires_at)
+ */
+function callKey(signal) {
+  return [
+    signal.market_id, signal.timeframe, signal.strategy_id,
+    signal.profile, signal.direction, signal.expires_at,
+  ].join('|');
+}
+
+/**
+ * Conviction of a call on a 50-100 scale (DOWN confidence is P(up))
+ */
+function conviction(signal) {
+  if (signal.confidence === null || signal.confidence === undefined) return 0;
+  return signal.direction === 'DOWN' ? 100 - signal.confidence : signal.confidence;
+}
+
+/**
+ * Whether a subscription covers a signal's strategy and profile
+ * (market and timeframe are filtered in the subscriptions query)
+ */
+function matchesSubscription(subscription, signal) {
+  return (subscription.strategy_id || DEFAULT_STRATEGY_ID) === signal.strategy_id
+    && (subscription.profile || DEFAULT_PROFILE) === signal.profile;
+}
+
+/**
+ * Claim a notification in the log; false if it was already handled
+ */
+async function claimNotification(entry) {
+  const { data, error } = await supabase
+    .from('notification_log')
+    .upsert({ ...entry, status: 'pending' }, { onConflict: 'dedup_key', ignoreDuplicates: true })
+    .select('dedup_key');
+
+  if (error) {
+    supabaseWriteFailures.inc({ table: 'notification_log' });
+    throw new Error(`Failed to write notification log: ${error.message}`);
+  }
+  return data.length > 0;
+}
+
+/**
+ * Update a claimed notification's log entry
+ */
+async function updateNotification(dedupKey, fields) {
+  const { error } = await supabase
+    .from('notification_log')
+    .update(fields)
+    .eq('dedup_key', dedupKey);
+
+  if (error) {
+    supabaseWriteFailures.inc({ table: 'notification_log' });
+    logger.error('Failed to update notification log', { dedup_key: dedupKey, error: error.message });
+  }
+}
+
+/**
+ * Record a claimed notification's outcome
+ */
+async function finishNotification(dedupKey, status, error = null) {
+  await updateNotification(dedupKey, { status, error, sent_at: new Date().toISOString() });
+}
+
+/**
+ * Send a message to each of a user's active devices (dead tokens are deactivated)
+ * Returns the log outcome: { status: sent | failed | no_devices, error }
+ */
+async function deliver(account, userId, message) {
+  const { data: devices, error } = await supabase
+    .from('device_tokens')
+    .select('token')
+    .eq('user_id', userId)
+    .eq('is_active', true);
+
+  if (error) return { status: 'failed', error: error.message };
+
+  const errors = [];
+  for (const { token } of devices) {
+    try {
+      const result = await sendToDevice(account, token, message);
+      if (result.ok) continue;
+
+      errors.push(result.error);
+      if (result.deadToken) {
+        await supabase.from('device_tokens').update({ is_active: false }).eq('token', token);
+      }
+    } catch (sendError) {
+      errors.push(sendError.message);
+    }
+  }
+
+  const delivered = devices.length - errors.length;
+  return {
+    status: delivered > 0 ? 'sent' : devices.length === 0 ? 'no_devices' : 'failed',
+    error: errors.length > 0 ? errors.join('; ') : null,
+  };
+}
+
+/**
+ * Deliver a message to every matching subscriber's devices
+ * (one log entry per user and dedupKey; deferred during quiet hours)
+ */
+async function dispatch(signal, event, message, dedupKey, { lifecycle = false } = {}) {
+  const account = getServiceAccount();
+  if (!account) return 0;
+
+  const { data: subscriptions, error } = await supabase
+    .from('notification_subscriptions')
+    .select('*')
+    .eq('is_active', true)
+    .or(`market_id.is.null,market_id.eq.${signal.market_id}`)
+    .or(`timeframe.is.null,timeframe.eq.${signal.timeframe}`);
+
+  if (error) throw new Error(`Failed to load subscriptions: ${error.message}`);
+
+  const recipients = subscriptions.filter(sub => matchesSubscription(sub, signal)
+    && (lifecycle ? sub.notify_lifecycle !== false : conviction(signal) >= (sub.min_confidence ?? 0)));
+
+  let sent = 0;
+  for (const subscription of recipients) {
+    const key = `${subscription.user_id}|${dedupKey}`;
+    const claimed = await claimNotification({
+      dedup_key: key,
+      user_id: subscription.user_id,
+      signal_id: signal.id,
+      event,
+    });
+    if (!claimed) continue;
+
+    const now = new Date();
+    if (inQuietHours(subscription, now)) {
+      await updateNotification(key, {
+        status: 'deferred',
+        deliver_after: quietHoursEnd(subscription, now).toISOString(),
+        message,
+      });
+      continue;
+    }
+
+    const outcome = await deliver(account, subscription.user_id, message);
+    if (outcome.status === 'sent') sent++;
+    await finishNotification(key, outcome.status, outcome.error);
+  }
+
+  return sent;
+}
+
+/**
+ * Calls still standing for deferred signal pushes: the callKey of every
+ * active signal in their markets (a refresh supersedes the pushed row but
+ * keeps the call)
+ */
+async function standingCalls(entries) {
+  const ids = [...new Set(entries.filter(entry => entry.event === 'signal').map(entry => entry.signal_id))];
+  if (ids.length === 0) return new Map();
+
+  const columns = 'id, market_id, timeframe, strategy_id, profile, direction, expires_at';
+  const { data: pushed, error } = await supabase.from('signals').select(columns).in('id', ids);
+  if (error) throw new Error(`Failed to load signals for deferred pushes: ${error.message}`);
+
+  const markets = [...new Set(pushed.map(signal => signal.market_id))];
+  const { data: active, error: activeError } = await supabase
+    .from('signals')
+    .select(columns)
+    .in('market_id', markets)
+    .eq('status', 'active');
+  if (activeError) throw new Error(`Failed to load active signals: ${activeError.message}`);
+
+  const live = new Set(active.map(callKey));
+  return new Map(pushed.map(signal => [signal.id, live.has(callKey(signal))]));
+}
+
+/**
+ * Send deferred pushes whose quiet hours have ended
+ * (signal pushes whose call is no longer standing are logged as expired instead)
+ */
+export async function flushDeferredNotifications(now = new Date()) {
+  const account = getServiceAccount();
+  if (!account) return 0;
+
+  const { data: due, error } = await supabase
+    .from('notification_log')
+    .select('*')
+    .eq('status', 'deferred')
+    .lte('deliver_after', now.toISOString())
+    .order('deliver_after')
+    .limit(FLUSH_BATCH);
+
+  if (error) throw new Error(`Failed to load deferred notifications: ${error.message}`);
+  if (due.length === 0) return 0;
+
+  const standing = await standingCalls(due);
+
+  let sent = 0;
+  for (const entry of due) {
+    // Take the entry back from the queue (another instance may be flushing too)
+    const { data: taken, error: takeError } = await supabase
+      .from('notification_log')
+      .update({ status: 'pending' })
+      .eq('dedup_key', entry.dedup_key)
+      .eq('status', 'deferred')
+      .select('dedup_key');
+
+    if (takeError) {
+      logger.error('Failed to take deferred notification', { dedup_key: entry.dedup_key, error: takeError.message });
+      continue;
+    }
+    if (taken.length === 0) continue;
+
+    if (entry.event === 'signal' && !standing.get(entry.signal_id)) {
+      await finishNotification(entry.dedup_key, 'expired');
+      continue;
+    }
+
+    const outcome = await deliver(account, entry.user_id, entry.message);
+    if (outcome.status === 'sent') sent++;
+    await finishNotification(entry.dedup_key, outcome.status, outcome.error);
+  }
+
+  return sent;
+}
+
+/**
+ * Push newly published tradeable UP/DOWN signals
+ * (one push per user, call direction and window)
+ */
+export async function notifySignals(signals) {
+  for (const signal of signals.filter(s => s.tradeable && s.direction !== 'FLAT')) {
+    const asset = signal.symbol.split('/')[0];
+    const log = logger.child({ market: signal.market_id, timeframe: signal.timeframe });
+    const message = {
+      title: `${asset} ${signal.timeframe}: ${signal.direction}`,
+      body: `${signal.direction} call at ${conviction(signal)}% confidence. ${signal.rationale || ''}`.trim(),
+      data: {
+        event: 'signal',
+        signal_id: String(signal.id),
+        market_id: signal.market_id,
+        timeframe: signal.timeframe,
+        direction: signal.direction,
+      },
+    };
+    const dedupKey = `signal|${callKey(signal)}`;
+
+    try {
+      const sent = await dispatch(signal, 'signal', message, dedupKey);
+      if (sent > 0) log.info('Signal pushed', { direction: signal.direction, users: sent });
+    } catch (error) {
+      log.error('Signal push failed', { signal_id: signal.id, error });
+    }
+  }
+}
+
+/**
+ * Push lifecycle changes: invalidated calls, and calls withdrawn by a flip to a
+ * non-tradeable signal (a flip to a tradeable call is covered by notifySignals)
+ */
+export async function notifyTransitions(transitions) {
+  const relevant = transitions.filter(t => t.event === 'invalidated'
+    || (t.event === 'flipped' && t.to_status === 'superseded'));
+  if (relevant.length === 0) return;
+
+  const ids = relevant.flatMap(t => [t.signal_id, t.replaced_by]).filter(Boolean);
+  const { data: signals, error } = await supabase
+    .from('signals')
+    .select('*')
+    .in('id', ids);
+
+  if (error) {
+    logger.error('Failed to load signals for transition pushes', { error: error.message });
+    return;
+  }
+  const byId = new Map(signals.map(s => [s.id, s]));
+
+  for (const t of relevant) {
+    const signal = byId.get(t.signal_id);
+    const replacement = byId.get(t.replaced_by);
+    if (!signal || signal.direction === 'FLAT' || replacement?.tradeable) continue;
+
+    const asset = signal.symbol.split('/')[0];
+    const event = t.event === 'invalidated' ? 'invalidated' : 'withdrawn';
+    const message = {
+      title: `${asset} ${signal.timeframe}: ${signal.direction} call ${event}`,
+      body: t.reason,
+      data: {
+        event,
+        signal_id: String(signal.id),
+        market_id: signal.market_id,
+        timeframe: signal.timeframe,
+        direction: signal.direction,
+      },
+    };
+
+    try {
+      await dispatch(signal, event, message, `${event}|${signal.id}`, { lifecycle: true });
+    } catch (dispatchError) {
+      logger.error('Lifecycle push failed', {
+        market: signal.market_id,
+        timeframe: signal.timeframe,
+        signal_id: signal.id,
+        event,
+        error: dispatchError,
+      });
+    }
+  }
+}
+
+export default { notifySignals, notifyTransitions, flushDeferredNotifications, inQuietHours, quietHoursEnd };
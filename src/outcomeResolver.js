@@ -0,0 +1,230 @@
+// Outcome Resolver - Grades signals once their window has closed
+// Writes signal_outcomes rows and rolls accuracy up into signal_accuracy.
+// Only the signal standing when its window closed (the last one generated in it
+// for its series) is graded, so refreshes of one call count once. Handled
+// signals get signals.resolved_at, which keeps them out of the next lookup.
+
+import { supabase } from './supabase.js';
+import { fetchKlines } from './priceFetcher.js';
+import { getSignalWindow } from './signalWindows.js';
+import { supabaseWriteFailures } from './metrics.js';
+import { logger } from './logger.js';
+
+const LOOKBACK_HOURS = 48;      // Only grade signals generated in the last 48h
+const CLOSE_GRACE_MS = 60000;   // Wait a minute after the window for the candle to settle
+const KLINE_LIMIT = 720;        // Enough 15m candles to cover the lookback
+const ROLLING_WINDOW = 100;     // Outcomes used for rolling accuracy
+const BATCH_SIZE = 1000;        // Unresolved signals per run (PostgREST's row cap)
+const ID_CHUNK = 100;           // Ids per .in() filter, keeping request URLs short
+
+/**
+ * Bucket a confidence into a 10-point band (e.g. 60-69)
+ */
+function confidenceBucket(confidence) {
+  if (confidence === null || confidence === undefined) return null;
+  const low = Math.min(90, Math.floor(confidence / 10) * 10);
+  return `${low}-${low === 90 ? 100 : low + 9}`;
+}
+
+/**
+ * Grade a signal against the candle for its window
+ */
+function gradeSignal(signal, candle, window) {
+  const realizedMove = ((candle.close - candle.open) / candle.open) * 100;
+  let actualDirection = 'FLAT';
+  if (candle.close > candle.open) actualDirection = 'UP';
+  else if (candle.close < candle.open) actualDirection = 'DOWN';
+
+  return {
+    signal_id: signal.id,
+    market_id: signal.market_id,
+    timeframe: signal.timeframe,
+    strategy_id: signal.strategy_id,
+    profile: signal.profile,
+    direction: signal.direction,
+    actual_direction: actualDirection,
+    // FLAT signals make no call, so they are neither correct nor incorrect
+    correct: signal.direction === 'FLAT' ? null : signal.direction === actualDirection,
+    confidence: signal.confidence,
+    confidence_bucket: confidenceBucket(signal.confidence),
+    open_price: candle.open,
+    close_price: candle.close,
+    realized_move: Math.round(realizedMove * 10000) / 10000,
+    window_start: window.start.toISOString(),
+    window_end: window.end.toISOString(),
+    resolved_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Series and window a signal belongs to
+ */
+function seriesWindow(signal) {
+  const { start } = getSignalWindow(signal.timeframe, signal.generated_at);
+  return [signal.market_id, signal.timeframe, signal.strategy_id, signal.profile, start.getTime()].join('|');
+}
+
+/**
+ * Find recent unresolved signals whose window has closed, grouped by series
+ * and window (oldest first, at most BATCH_SIZE signals)
+ */
+async function fetchUnresolvedWindows() {
+  const since = new Date(Date.now() - LOOKBACK_HOURS * 60 * 60 * 1000);
+  const cutoff = Date.now() - CLOSE_GRACE_MS;
+
+  const { data: signals, error } = await supabase
+    .from('signals')
+    .select('id, market_id, symbol, timeframe, strategy_id, profile, direction, confidence, generated_at')
+    .is('resolved_at', null)
+    .gte('generated_at', since.toISOString())
+    .lte('generated_at', new Date(cutoff).toISOString())
+    .order('generated_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) throw new Error(`Failed to load signals: ${error.message}`);
+
+  const windows = new Map();
+  for (const signal of signals) {
+    if (getSignalWindow(signal.timeframe, signal.generated_at).end.getTime() > cutoff) continue;
+    const key = seriesWindow(signal);
+    if (!windows.has(key)) windows.set(key, []);
+    windows.get(key).push(signal);
+  }
+
+  // A full batch may end partway through a window: leave that one for the next run
+  if (signals.length === BATCH_SIZE) windows.delete(seriesWindow(signals.at(-1)));
+  return [...windows.values()];
+}
+
+/**
+ * Mark signals as handled (graded, or replaced within their window)
+ */
+async function markResolved(ids) {
+  const resolvedAt = new Date().toISOString();
+  for (let i = 0; i < ids.length; i += ID_CHUNK) {
+    const { error } = await supabase
+      .from('signals')
+      .update({ resolved_at: resolvedAt })
+      .in('id', ids.slice(i, i + ID_CHUNK));
+
+    if (error) {
+      supabaseWriteFailures.inc({ table: 'signals' });
+      throw new Error(`Failed to mark signals resolved: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Recompute rolling accuracy for a market/timeframe/strategy/profile
+ */
+async function updateAccuracyStats(marketId, timeframe, strategyId, profile) {
+  const { data: outcomes, error } = await supabase
+    .from('signal_outcomes')
+    .select('correct, realized_move')
+    .eq('market_id', marketId)
+    .eq('timeframe', timeframe)
+    .eq('strategy_id', strategyId)
+    .eq('profile', profile)
+    .not('correct', 'is', null)
+    .order('window_end', { ascending: false })
+    .limit(ROLLING_WINDOW);
+
+  if (error) throw new Error(`Failed to load outcomes: ${error.message}`);
+
+  const sampleSize = outcomes.length;
+  const correctCount = outcomes.filter(o => o.correct).length;
+  const avgMove = sampleSize > 0
+    ? outcomes.reduce((sum, o) => sum + Math.abs(o.realized_move), 0) / sampleSize
+    : null;
+
+  const { error: upsertError } = await supabase
+    .from('signal_accuracy')
+    .upsert({
+      market_id: marketId,
+      timeframe,
+      strategy_id: strategyId,
+      profile,
+      window_size: ROLLING_WINDOW,
+      sample_size: sampleSize,
+      correct_count: correctCount,
+      accuracy: sampleSize > 0 ? Math.round((correctCount / sampleSize) * 1000) / 10 : null,
+      avg_abs_move: avgMove === null ? null : Math.round(avgMove * 10000) / 10000,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'market_id,timeframe,strategy_id,profile' });
+
+  if (upsertError) {
+    supabaseWriteFailures.inc({ table: 'signal_accuracy' });
+    throw new Error(`Failed to update accuracy: ${upsertError.message}`);
+  }
+
+  return { sampleSize, correctCount };
+}
+
+/**
+ * Resolve all signals whose window has closed
+ */
+export async function resolveOutcomes() {
+  const windows = await fetchUnresolvedWindows();
+  if (windows.length === 0) return [];
+
+  // Group by market/timeframe so each needs only one kline fetch
+  const groups = new Map();
+  for (const signals of windows) {
+    const key = `${signals[0].market_id}|${signals[0].timeframe}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(signals);
+  }
+
+  const outcomes = [];
+  for (const marketWindows of groups.values()) {
+    const { market_id: marketId, timeframe, symbol: pair } = marketWindows[0][0];
+    const symbol = pair.split('/')[0];
+    const log = logger.child({ market: marketId, timeframe });
+
+    try {
+      const klines = await fetchKlines(symbol, timeframe, KLINE_LIMIT);
+      const byOpenTime = new Map(klines.map(k => [k.openTime, k]));
+
+      const graded = [];
+      const handled = [];
+      for (const signals of marketWindows) {
+        const standing = signals.at(-1); // Last generated in the window
+        const window = getSignalWindow(timeframe, standing.generated_at);
+        const candle = byOpenTime.get(window.start.getTime());
+        if (!candle) continue; // Candle not available yet, retry next run
+
+        graded.push(gradeSignal(standing, candle, window));
+        handled.push(...signals.map(s => s.id));
+      }
+
+      if (graded.length === 0) continue;
+
+      const { error } = await supabase
+        .from('signal_outcomes')
+        .upsert(graded, { onConflict: 'signal_id', ignoreDuplicates: true });
+
+      if (error) {
+        supabaseWriteFailures.inc({ table: 'signal_outcomes' });
+        log.error('Failed to store outcomes', { error: error.message });
+        continue;
+      }
+
+      await markResolved(handled);
+      log.info('Outcomes resolved', { resolved: graded.length, replaced: handled.length - graded.length });
+
+      // Accuracy is tracked separately for each strategy/profile
+      const series = new Map(graded.map(o => [`${o.strategy_id}|${o.profile}`, o]));
+      for (const { strategy_id: strategyId, profile } of series.values()) {
+        const { sampleSize, correctCount } = await updateAccuracyStats(marketId, timeframe, strategyId, profile);
+        log.info('Rolling accuracy', { strategy: strategyId, profile, correct: correctCount, sample_size: sampleSize });
+      }
+      outcomes.push(...graded);
+    } catch (error) {
+      log.error('Outcome resolution failed', { error });
+    }
+  }
+
+  return outcomes;
+}
+
+export default { resolveOutcomes };
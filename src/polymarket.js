@@ -0,0 +1,131 @@
+// Polymarket - Implied probabilities for the matching up/down contracts
+// Reads the public Gamma API (no key required)
+//
+// Each market/timeframe maps to one contract per signal window through a slug
+// template. Placeholders:
+//   {symbol}     'btc'
+//   {timeframe}  '15m', '1h', 'daily'
+//   {start}      Window start in unix seconds
+// Override per market with the markets.polymarket_slugs column, e.g.
+//   { "1h": "bitcoin-up-or-down-{start}" }
+//
+// POLYMARKET_API_URL   Gamma API base (point it at a local stand-in for testing)
+// POLYMARKET_ENABLED   Set to 'off' to skip odds entirely
+
+import { getSignalWindow } from './signalWindows.js';
+import { fetchJson } from './httpClient.js';
+import { logger } from './logger.js';
+
+const API_URL = process.env.POLYMARKET_API_URL || 'https://gamma-api.polymarket.com';
+const ENABLED = process.env.POLYMARKET_ENABLED !== 'off';
+const CACHE_MS = 15000;    // Strategies/profiles for the same window share one lookup
+const TIMEOUT_MS = 5000;
+
+const DEFAULT_SLUG_TEMPLATE = '{symbol}-updown-{timeframe}-{start}';
+
+const cache = new Map(); // slug -> { fetchedAt, odds }
+
+/**
+ * Build the contract slug for a market/timeframe at a given time
+ */
+export function contractSlug(symbol, timeframe, date = new Date(), templates = {}) {
+  const template = templates[timeframe] || DEFAULT_SLUG_TEMPLATE;
+  const { start } = getSignalWindow(timeframe, date);
+
+  return template
+    .replaceAll('{symbol}', symbol.toLowerCase())
+    .replaceAll('{timeframe}', timeframe)
+    .replaceAll('{start}', String(Math.floor(start.getTime() / 1000)));
+}
+
+/**
+ * Gamma encodes list fields as JSON strings
+ */
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    return JSON.parse(value || '[]');
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Read Up/Down probabilities from a Gamma market (null if it isn't an up/down market)
+ */
+function toOdds(contract) {
+  const outcomes = parseList(contract.outcomes).map(o => String(o).toLowerCase());
+  const prices = parseList(contract.outcomePrices).map(parseFloat);
+
+  const upIndex = outcomes.findIndex(o => o === 'up' || o === 'yes');
+  const downIndex = outcomes.findIndex(o => o === 'down' || o === 'no');
+  if (upIndex === -1 || downIndex === -1) return null;
+
+  const pUp = prices[upIndex];
+  const pDown = prices[downIndex];
+  if (!Number.isFinite(pUp) || !Number.isFinite(pDown)) return null;
+
+  return { slug: contract.slug, pUp, pDown, closed: contract.closed === true };
+}
+
+/**
+ * Fetch a contract by slug (null when Polymarket has no such market)
+ */
+async function fetchContract(slug) {
+  const data = await fetchJson(`${API_URL}/markets?slug=${encodeURIComponent(slug)}`, { timeoutMs: TIMEOUT_MS });
+  const contract = Array.isArray(data) ? data[0] : data;
+  return contract ? toOdds(contract) : null;
+}
+
+/**
+ * Current implied probabilities for a market/timeframe's open window
+ * Returns { slug, pUp, pDown } or null if there is no open contract.
+ */
+export async function fetchImpliedOdds(symbol, timeframe, { templates, date = new Date() } = {}) {
+  if (!ENABLED) return null;
+
+  const slug = contractSlug(symbol, timeframe, date, templates);
+  const cached = cache.get(slug);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_MS) return cached.odds;
+
+  try {
+    const contract = await fetchContract(slug);
+    const odds = contract && !contract.closed
+      ? { slug, pUp: contract.pUp, pDown: contract.pDown }
+      : null;
+
+    cache.set(slug, { fetchedAt: Date.now(), odds });
+    if (odds) {
+      logger.info('Polymarket odds', { slug, p_up: odds.pUp, p_down: odds.pDown });
+    } else {
+      logger.info('No open Polymarket contract', { slug });
+    }
+    return odds;
+  } catch (error) {
+    logger.warn('Polymarket lookup failed', { slug, error, error_kind: error.kind });
+    return null;
+  }
+}
+
+/**
+ * Edge in percentage points: our probability for the called side minus
+ * the market's. Confidence is P(up) on a 0-100 scale, so a DOWN call's
+ * probability is 100 - confidence.
+ */
+export function calculateEdge(direction, confidence, odds) {
+  if (!odds || direction === 'FLAT' || confidence === null) return null;
+
+  return direction === 'UP'
+    ? confidence - odds.pUp * 100
+    : (100 - confidence) - odds.pDown * 100;
+}
+
+/**
+ * Price of the contract a signal would buy (0-1)
+ */
+export function contractPrice(direction, odds) {
+  if (!odds || direction === 'FLAT') return null;
+  return direction === 'UP' ? odds.pUp : odds.pDown;
+}
+
+export default { contractSlug, fetchImpliedOdds, calculateEdge, contractPrice };
@@ -1,226 +1,150 @@
 // Price Fetcher - Multiple Exchange APIs
-// CoinGecko, Kraken, Coinbase, Bybit, CryptoCompare
+// CoinGecko, Kraken, Coinbase, Bybit, CryptoCompare (see exchangeRegistry.js)
 // No API keys required for basic usage
 
-// Symbol mappings for each exchange
-const SYMBOLS = {
-  CoinGecko: { BTC: 'bitcoin', ETH: 'ethereum', SOL: 'solana' },
-  Kraken: { BTC: 'XBTUSD', ETH: 'ETHUSD', SOL: 'SOLUSD' },
-  Coinbase: { BTC: 'BTC-USD', ETH: 'ETH-USD', SOL: 'SOL-USD' },
-  Bybit: { BTC: 'BTCUSDT', ETH: 'ETHUSDT', SOL: 'SOLUSDT' },
-};
+import { getAdapters, resolveSymbol, callAdapter, withFallback } from './exchangeRegistry.js';
+import { logger } from './logger.js';
+import { getConfig } from './config.js';
+
+// Settings come from the sources config section:
+//   orderBookBands   Price bands (% from mid) for order book imbalance; the first
+//                    band drives the headline imbalance (ORDER_BOOK_BANDS=0.5,1)
+//   priceMode        'consensus' queries every exchange at once (PRICE_MODE)
+//   consensusMethod  median | vwap (CONSENSUS_METHOD)
+//   consensusTimeoutMs     Deadline for all sources to answer
+//   consensusTolerancePct  Drop quotes more than this % off the median
 
 /**
- * 1. CoinGecko API
+ * Median of a list of numbers
  */
-async function fetchFromCoinGecko(symbol) {
-  const id = SYMBOLS.CoinGecko[symbol];
-  if (!id) return null;
-
-  try {
-    const response = await fetch(
-      `https://api.coingecko.com/api/v3/simple/price?ids=${id}&vs_currencies=usd&include_24hr_vol=true&include_24hr_change=true`
-    );
-    if (!response.ok) return null;
-    
-    const data = await response.json();
-    const coin = data[id];
-    if (!coin) return null;
-    
-    console.log(`   ✓ CoinGecko: ${symbol} = $${coin.usd}`);
-    return {
-      symbol,
-      price: coin.usd,
-      open: coin.usd / (1 + (coin.usd_24h_change || 0) / 100),
-      high: coin.usd * 1.01,
-      low: coin.usd * 0.99,
-      volume: coin.usd_24h_vol || 0,
-      change: coin.usd_24h_change || 0,
-      source: 'CoinGecko',
-    };
-  } catch (e) {
-    console.log(`   ✗ CoinGecko failed: ${e.message}`);
-    return null;
-  }
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
 }
 
 /**
- * 2. Kraken API
+ * Fetch price from all exchanges at once and combine them
+ * Quotes that miss the deadline or deviate more than tolerancePct
+ * from the median are dropped before combining; when none is within it,
+ * the median of all quotes is used (with a warning).
  */
-async function fetchFromKraken(symbol) {
-  const pair = SYMBOLS.Kraken[symbol];
-  if (!pair) return null;
-
-  try {
-    const response = await fetch(`https://api.kraken.com/0/public/Ticker?pair=${pair}`);
-    if (!response.ok) return null;
-    
-    const data = await response.json();
-    if (data.error?.length > 0) return null;
-    
-    const ticker = Object.values(data.result)[0];
-    if (!ticker) return null;
-    
-    const price = parseFloat(ticker.c[0]);
-    const open = parseFloat(ticker.o);
-    
-    console.log(`   ✓ Kraken: ${symbol} = $${price}`);
-    return {
-      symbol,
-      price,
-      open,
-      high: parseFloat(ticker.h[1]),
-      low: parseFloat(ticker.l[1]),
-      volume: parseFloat(ticker.v[1]),
-      change: ((price - open) / open) * 100,
-      source: 'Kraken',
-    };
-  } catch (e) {
-    console.log(`   ✗ Kraken failed: ${e.message}`);
-    return null;
+export async function fetchConsensusPrice(symbol, options = {}) {
+  const {
+    timeoutMs = getConfig().sources.consensusTimeoutMs,
+    tolerancePct = getConfig().sources.consensusTolerancePct,
+    method = getConfig().sources.consensusMethod,
+  } = options;
+
+  const adapters = getAdapters('ticker').filter(adapter => resolveSymbol(adapter, symbol));
+
+  // Collect quotes as they arrive; anything later than the deadline is ignored
+  const received = [];
+  const pending = adapters.map(adapter =>
+    callAdapter(adapter, 'ticker', symbol)
+      .then((quote) => { if (quote) received.push(quote); })
+  );
+
+  let timer;
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(resolve, timeoutMs);
+  });
+  await Promise.race([Promise.all(pending), deadline]);
+  clearTimeout(timer);
+
+  const quotes = received.filter(q => Number.isFinite(q.price) && q.price > 0);
+
+  if (quotes.length === 0) {
+    throw new Error(`All APIs failed for ${symbol} - no price data available`);
   }
-}
 
-/**
- * 3. Coinbase API
- */
-async function fetchFromCoinbase(symbol) {
-  const pair = SYMBOLS.Coinbase[symbol];
-  if (!pair) return null;
-
-  try {
-    // Get current price
-    const priceRes = await fetch(`https://api.coinbase.com/v2/prices/${pair}/spot`);
-    if (!priceRes.ok) return null;
-    
-    const priceData = await priceRes.json();
-    const price = parseFloat(priceData.data.amount);
-    
-    // Get 24h stats
-    const statsRes = await fetch(`https://api.exchange.coinbase.com/products/${pair}/stats`);
-    let open = price, high = price, low = price, volume = 0;
-    
-    if (statsRes.ok) {
-      const stats = await statsRes.json();
-      open = parseFloat(stats.open) || price;
-      high = parseFloat(stats.high) || price;
-      low = parseFloat(stats.low) || price;
-      volume = parseFloat(stats.volume) || 0;
-    }
-    
-    console.log(`   ✓ Coinbase: ${symbol} = $${price}`);
-    return {
+  // Reject outliers against the median of all quotes
+  const mid = median(quotes.map(q => q.price));
+  const annotated = quotes.map(q => ({
+    ...q,
+    deviationPct: ((q.price - mid) / mid) * 100,
+  }));
+  let accepted = annotated.filter(q => Math.abs(q.deviationPct) <= tolerancePct);
+  let rejected = annotated.filter(q => Math.abs(q.deviationPct) > tolerancePct);
+
+  // No quote near the median (e.g. two sources far apart): take the median of them all
+  const disagree = accepted.length === 0;
+  if (disagree) {
+    logger.warn('Consensus quotes disagree, using the median of all of them', {
       symbol,
-      price,
-      open,
-      high,
-      low,
-      volume,
-      change: ((price - open) / open) * 100,
-      source: 'Coinbase',
-    };
-  } catch (e) {
-    console.log(`   ✗ Coinbase failed: ${e.message}`);
-    return null;
+      sources: annotated.map(q => q.source),
+      tolerance_pct: tolerancePct,
+    });
+    accepted = annotated;
+    rejected = [];
   }
-}
 
-/**
- * 4. Bybit API
- */
-async function fetchFromBybit(symbol) {
-  const pair = SYMBOLS.Bybit[symbol];
-  if (!pair) return null;
-
-  try {
-    const response = await fetch(`https://api.bybit.com/v5/market/tickers?category=spot&symbol=${pair}`);
-    if (!response.ok) return null;
-    
-    const data = await response.json();
-    if (data.retCode !== 0) return null;
-    
-    const ticker = data.result?.list?.[0];
-    if (!ticker) return null;
-    
-    const price = parseFloat(ticker.lastPrice);
-    const open = parseFloat(ticker.prevPrice24h);
-    
-    console.log(`   ✓ Bybit: ${symbol} = $${price}`);
-    return {
-      symbol,
-      price,
-      open,
-      high: parseFloat(ticker.highPrice24h),
-      low: parseFloat(ticker.lowPrice24h),
-      volume: parseFloat(ticker.volume24h),
-      change: parseFloat(ticker.price24hPcnt) * 100,
-      source: 'Bybit',
-    };
-  } catch (e) {
-    console.log(`   ✗ Bybit failed: ${e.message}`);
-    return null;
+  // Volume-weighted price needs volume in base units; CoinGecko reports USD
+  const baseVolume = q => (q.source === 'CoinGecko' ? q.volume / q.price : q.volume) || 0;
+  const totalVolume = accepted.reduce((sum, q) => sum + baseVolume(q), 0);
+  const useVwap = method === 'vwap' && totalVolume > 0 && !disagree;
+
+  let price;
+  if (useVwap) {
+    price = accepted.reduce((sum, q) => sum + q.price * baseVolume(q), 0) / totalVolume;
+  } else {
+    price = median(accepted.map(q => q.price));
   }
-}
 
-/**
- * 5. CryptoCompare API
- */
-async function fetchFromCryptoCompare(symbol) {
-  try {
-    const response = await fetch(
-      `https://min-api.cryptocompare.com/data/pricemultifull?fsyms=${symbol}&tsyms=USD`
-    );
-    if (!response.ok) return null;
-    
-    const data = await response.json();
-    const raw = data.RAW?.[symbol]?.USD;
-    if (!raw) return null;
-    
-    console.log(`   ✓ CryptoCompare: ${symbol} = $${raw.PRICE}`);
-    return {
+  const prices = accepted.map(q => q.price);
+  const mean = prices.reduce((a, b) => a + b, 0) / prices.length;
+  const variance = prices.reduce((sum, p) => sum + (p - mean) ** 2, 0) / prices.length;
+  const open = median(accepted.map(q => q.open));
+
+  if (rejected.length > 0) {
+    logger.warn('Consensus dropped outlier quotes', {
       symbol,
-      price: raw.PRICE,
-      open: raw.OPEN24HOUR,
-      high: raw.HIGH24HOUR,
-      low: raw.LOW24HOUR,
-      volume: raw.VOLUME24HOUR,
-      change: raw.CHANGEPCT24HOUR,
-      source: 'CryptoCompare',
-    };
-  } catch (e) {
-    console.log(`   ✗ CryptoCompare failed: ${e.message}`);
-    return null;
+      sources: rejected.map(q => q.source),
+      tolerance_pct: tolerancePct,
+    });
   }
+  logger.debug('Consensus price', { symbol, price, sources: accepted.length });
+
+  return {
+    symbol,
+    price,
+    open,
+    high: median(accepted.map(q => q.high)),
+    low: median(accepted.map(q => q.low)),
+    volume: median(accepted.map(baseVolume)),
+    change: ((price - open) / open) * 100,
+    source: 'consensus',
+    method: useVwap ? 'vwap' : 'median',
+    quotes: accepted.map(({ source, price: p, volume, deviationPct }) => ({ source, price: p, volume, deviationPct })),
+    rejected: rejected.map(({ source, price: p, deviationPct }) => ({ source, price: p, deviationPct })),
+    dispersion: {
+      spreadPct: ((Math.max(...prices) - Math.min(...prices)) / price) * 100,
+      stdDevPct: (Math.sqrt(variance) / price) * 100,
+    },
+  };
 }
 
 /**
  * Fetch price with fallback through all exchanges
+ * Set sources.priceMode to 'consensus' (or pass { consensus: true }) to combine all sources instead.
  */
-export async function fetchPrice(symbol) {
-  // Try each exchange in order
-  const fetchers = [
-    fetchFromCoinGecko,
-    fetchFromKraken,
-    fetchFromCoinbase,
-    fetchFromBybit,
-    fetchFromCryptoCompare,
-  ];
-
-  for (const fetcher of fetchers) {
-    const data = await fetcher(symbol);
-    if (data) return data;
-    await new Promise(r => setTimeout(r, 100)); // Small delay between attempts
+export async function fetchPrice(symbol, options = {}) {
+  if (options.consensus ?? getConfig().sources.priceMode === 'consensus') {
+    return fetchConsensusPrice(symbol, options);
   }
 
+  // Try each exchange in order
+  const data = await withFallback('ticker', symbol);
+  if (data) return data;
+
   // All failed - throw error
   throw new Error(`All APIs failed for ${symbol} - no price data available`);
 }
 
 /**
- * Fetch prices for all symbols
+ * Fetch prices for a list of symbols (see marketRegistry.getActiveSymbols)
  */
-export async function fetchAllPrices() {
-  const symbols = ['BTC', 'ETH', 'SOL'];
+export async function fetchAllPrices(symbols) {
   const prices = {};
 
   for (const symbol of symbols) {
@@ -231,98 +155,45 @@ export async function fetchAllPrices() {
   return prices;
 }
 
+// Optional local candle source: (symbol, interval, limit) => klines or null
+let klineCache = null;
+
 /**
- * Fetch OHLC/Klines from Kraken
+ * Serve fetchKlines from a local candle source when it has the bars
  */
-async function fetchOHLCFromKraken(symbol, interval = 15) {
-  const pair = SYMBOLS.Kraken[symbol];
-  if (!pair) return null;
-
-  try {
-    const response = await fetch(
-      `https://api.kraken.com/0/public/OHLC?pair=${pair}&interval=${interval}`
-    );
-    if (!response.ok) return null;
-    
-    const data = await response.json();
-    if (data.error?.length > 0) return null;
-    
-    const ohlc = Object.values(data.result).find(Array.isArray);
-    if (!ohlc) return null;
-    
-    return ohlc.map((k) => ({
-      openTime: k[0] * 1000,
-      open: parseFloat(k[1]),
-      high: parseFloat(k[2]),
-      low: parseFloat(k[3]),
-      close: parseFloat(k[4]),
-      volume: parseFloat(k[6]),
-      closeTime: k[0] * 1000 + interval * 60000,
-      trades: parseInt(k[7]) || 0,
-    }));
-  } catch (e) {
-    return null;
-  }
+export function setKlineCache(getCachedKlines) {
+  klineCache = getCachedKlines;
 }
 
 /**
- * Fetch OHLC from CryptoCompare
+ * Fetch klines, from the local candle store when it is fresh
  */
-async function fetchOHLCFromCryptoCompare(symbol, interval = 15) {
-  try {
-    // CryptoCompare uses: histominute, histohour, histoday
-    let endpoint = 'histominute';
-    let limit = 100;
-    
-    if (interval >= 60) {
-      endpoint = 'histohour';
-      limit = Math.min(100, Math.ceil(100 * 15 / 60));
-    }
-    if (interval >= 1440) {
-      endpoint = 'histoday';
-      limit = 30;
-    }
-
-    const response = await fetch(
-      `https://min-api.cryptocompare.com/data/v2/${endpoint}?fsym=${symbol}&tsym=USD&limit=${limit}`
-    );
-    if (!response.ok) return null;
-    
-    const data = await response.json();
-    if (data.Response !== 'Success') return null;
-    
-    return data.Data.Data.map((k) => ({
-      openTime: k.time * 1000,
-      open: k.open,
-      high: k.high,
-      low: k.low,
-      close: k.close,
-      volume: k.volumefrom,
-      closeTime: (k.time + interval * 60) * 1000,
-      trades: 0,
-    }));
-  } catch (e) {
-    return null;
-  }
+export async function fetchKlines(symbol, interval = '15m', limit = 100) {
+  const cached = klineCache?.(symbol, interval, limit);
+  if (cached) return cached;
+
+  return fetchRemoteKlines(symbol, interval, limit);
 }
 
 /**
- * Fetch klines with fallback
+ * Fetch klines from the exchanges with fallback
+ * since (ms) fetches only the bars from that open time on (incremental sync)
  */
-export async function fetchKlines(symbol, interval = '15m', limit = 100) {
+export async function fetchRemoteKlines(symbol, interval = '15m', limit = 100, { since = null } = {}) {
   const intervalMap = { '15m': 15, '1h': 60, '4h': 240, 'daily': 1440 };
   const mins = intervalMap[interval] || 15;
 
-  // Try Kraken first
-  let data = await fetchOHLCFromKraken(symbol, mins);
-  
-  // Try CryptoCompare as fallback
-  if (!data || data.length < 10) {
-    data = await fetchOHLCFromCryptoCompare(symbol, mins);
-  }
+  // Sources without a start time fetch just enough bars to reach back to it
+  const wanted = since === null ? limit : Math.min(limit, Math.ceil((Date.now() - since) / (mins * 60000)) + 1);
+
+  // Try each OHLC source in order (Kraken, then CryptoCompare by default);
+  // Kraken answers with its last 720 bars (or those since), CryptoCompare fetches `wanted`
+  const data = await withFallback('ohlc', symbol, [mins, wanted, since], {
+    accept: candles => candles.length >= (since === null ? 10 : 1),
+  });
 
   // Return data or throw error
-  if (data && data.length >= 10) {
+  if (data) {
     return data.slice(-limit);
   }
 
@@ -331,28 +202,83 @@ export async function fetchKlines(symbol, interval = '15m', limit = 100) {
 }
 
 /**
- * Estimate order flow from price action
+ * Sum bid/ask size and notional within ±band% of the mid price
  */
-export async function fetchOrderBook(symbol, limit = 20) {
-  const priceData = await fetchPrice(symbol);
-  const change = priceData.change || 0;
+export function summarizeDepth(bids, asks, bands = getConfig().sources.orderBookBands) {
+  const bestBid = Math.max(...bids.map(([price]) => price));
+  const bestAsk = Math.min(...asks.map(([price]) => price));
+  const mid = (bestBid + bestAsk) / 2;
 
-  // Map -10% to +10% change to 0.3 to 0.7 imbalance
-  const imbalance = Math.max(0.3, Math.min(0.7, 0.5 + change / 20));
+  const summary = {};
+  for (const band of bands) {
+    const floor = mid * (1 - band / 100);
+    const ceiling = mid * (1 + band / 100);
 
-  return {
-    bids: [],
-    asks: [],
-    bidVolume: 100 * imbalance,
-    askVolume: 100 * (1 - imbalance),
-    imbalance,
-    source: 'estimated',
-  };
+    const inBids = bids.filter(([price]) => price >= floor);
+    const inAsks = asks.filter(([price]) => price <= ceiling);
+    const bidVolume = inBids.reduce((sum, [, size]) => sum + size, 0);
+    const askVolume = inAsks.reduce((sum, [, size]) => sum + size, 0);
+
+    summary[band] = {
+      bidVolume,
+      askVolume,
+      bidNotional: inBids.reduce((sum, [price, size]) => sum + price * size, 0),
+      askNotional: inAsks.reduce((sum, [price, size]) => sum + price * size, 0),
+      imbalance: bidVolume + askVolume > 0 ? bidVolume / (bidVolume + askVolume) : 0.5,
+    };
+  }
+
+  return { mid, spread: bestAsk - bestBid, bands: summary };
+}
+
+/**
+ * Fetch real order book depth with fallback through exchanges
+ * Imbalance and volumes come from the first (primary) price band.
+ * Null when no exchange returns depth.
+ */
+export async function fetchOrderBook(symbol, limit = 100, bands = getConfig().sources.orderBookBands) {
+  // Try each depth source in order (Kraken, Coinbase, Bybit by default)
+  const book = await withFallback('depth', symbol, [limit], {
+    accept: b => b.bids.length > 0 && b.asks.length > 0,
+  });
+
+  if (book) {
+    const { mid, spread, bands: depth } = summarizeDepth(book.bids, book.asks, bands);
+    const primary = depth[bands[0]];
+
+    logger.debug('Order book depth', {
+      source: book.source,
+      symbol,
+      imbalance: Number(primary.imbalance.toFixed(2)),
+      band_pct: bands[0],
+    });
+    return {
+      bids: book.bids.slice(0, limit),
+      asks: book.asks.slice(0, limit),
+      bidVolume: primary.bidVolume,
+      askVolume: primary.askVolume,
+      bidNotional: primary.bidNotional,
+      askNotional: primary.askNotional,
+      imbalance: primary.imbalance,
+      mid,
+      spread,
+      bands: depth,
+      source: book.source,
+    };
+  }
+
+  // No depth from any exchange: order flow goes unscored and the liquidity gate fails
+  logger.warn('No order book depth from any exchange', { symbol });
+  return null;
 }
 
 export default {
   fetchPrice,
+  fetchConsensusPrice,
   fetchAllPrices,
   fetchKlines,
+  fetchRemoteKlines,
+  setKlineCache,
   fetchOrderBook,
+  summarizeDepth,
 };
@@ -0,0 +1,194 @@
+// Price Stream - Exchange WebSocket feeds (Kraken, Coinbase)
+// Subscribes to ticker/trade channels, reconnects with backoff and
+// pushes everything into a tick store
+
+import WebSocket from 'ws';
+import { logger } from './logger.js';
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const STALE_AFTER_MS = 30000; // Both feeds send heartbeats, so silence means a dead socket
+
+/**
+ * Feed definitions: endpoint, symbol -> pair mapping, subscribe messages and parser
+ * parse() returns a list of { type: 'tick' | 'trade', ... } events
+ */
+const FEEDS = {
+  Kraken: {
+    url: 'wss://ws.kraken.com/v2',
+    pair: symbol => `${symbol}/USD`,
+    subscribe: pairs => [
+      { method: 'subscribe', params: { channel: 'ticker', symbol: pairs } },
+      { method: 'subscribe', params: { channel: 'trade', symbol: pairs } },
+    ],
+    parse(message, toSymbol) {
+      if (message.channel === 'ticker' && Array.isArray(message.data)) {
+        return message.data.map(t => ({
+          type: 'tick',
+          symbol: toSymbol(t.symbol),
+          price: t.last,
+          open: t.last - t.change,
+          high: t.high,
+          low: t.low,
+          volume: t.volume,
+          change: t.change_pct,
+        }));
+      }
+      if (message.channel === 'trade' && Array.isArray(message.data)) {
+        return message.data.map(t => ({
+          type: 'trade',
+          symbol: toSymbol(t.symbol),
+          price: t.price,
+          size: t.qty,
+          time: Date.parse(t.timestamp),
+        }));
+      }
+      return [];
+    },
+  },
+  Coinbase: {
+    url: 'wss://ws-feed.exchange.coinbase.com',
+    pair: symbol => `${symbol}-USD`,
+    subscribe: pairs => [
+      { type: 'subscribe', product_ids: pairs, channels: ['ticker', 'heartbeat'] },
+    ],
+    parse(message, toSymbol) {
+      if (message.type !== 'ticker') return [];
+
+      // Every ticker message is a match, so it is also a trade
+      const symbol = toSymbol(message.product_id);
+      const price = parseFloat(message.price);
+      const open = parseFloat(message.open_24h);
+      return [
+        {
+          type: 'tick',
+          symbol,
+          price,
+          open,
+          high: parseFloat(message.high_24h),
+          low: parseFloat(message.low_24h),
+          volume: parseFloat(message.volume_24h),
+          change: ((price - open) / open) * 100,
+        },
+        {
+          type: 'trade',
+          symbol,
+          price,
+          size: parseFloat(message.last_size) || 0,
+          time: message.time ? Date.parse(message.time) : Date.now(),
+        },
+      ];
+    },
+  },
+};
+
+/**
+ * Keep one exchange feed connected and subscribed
+ */
+function connectFeed(name, feed, { url, symbols, store, onStatus }) {
+  const pairs = symbols.map(feed.pair);
+  const fromPair = Object.fromEntries(symbols.map(s => [feed.pair(s), s]));
+  const toSymbol = pair => fromPair[pair];
+  const log = logger.child({ stream: name });
+
+  let socket = null;
+  let stopped = false;
+  let attempts = 0;
+  let reconnectTimer = null;
+  let staleTimer = null;
+
+  function resetStaleTimer() {
+    clearTimeout(staleTimer);
+    staleTimer = setTimeout(() => {
+      log.warn('Stream silent, reconnecting', { silent_ms: STALE_AFTER_MS });
+      socket?.terminate();
+    }, STALE_AFTER_MS);
+  }
+
+  function scheduleReconnect() {
+    if (stopped) return;
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_MIN_MS * 2 ** attempts);
+    attempts++;
+    reconnectTimer = setTimeout(open, delay);
+  }
+
+  function open() {
+    socket = new WebSocket(url);
+
+    socket.on('open', () => {
+      // (Re)subscribe on every connect
+      for (const message of feed.subscribe(pairs)) {
+        socket.send(JSON.stringify(message));
+      }
+      log.info('Stream connected', { pairs });
+      onStatus?.(name, 'connected');
+      resetStaleTimer();
+    });
+
+    socket.on('message', (raw) => {
+      attempts = 0;
+      resetStaleTimer();
+
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (e) {
+        return; // Ignore malformed frames
+      }
+
+      for (const { type, ...event } of feed.parse(message, toSymbol)) {
+        if (!event.symbol || !Number.isFinite(event.price)) continue;
+        if (type === 'tick') store.onTick({ ...event, source: name });
+        else store.onTrade(event);
+      }
+    });
+
+    socket.on('close', () => {
+      clearTimeout(staleTimer);
+      onStatus?.(name, 'disconnected');
+      if (!stopped) {
+        log.warn('Stream closed, reconnecting', { attempt: attempts + 1 });
+        scheduleReconnect();
+      }
+    });
+
+    socket.on('error', (e) => {
+      log.warn('Stream error', { error: e });
+      // 'close' follows and handles the reconnect
+    });
+  }
+
+  open();
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      clearTimeout(staleTimer);
+      socket?.terminate();
+    },
+  };
+}
+
+/**
+ * Start streaming prices into a tick store
+ * urls can override feed endpoints (e.g. a local stand-in server)
+ */
+export function startPriceStream({ store, symbols, exchanges = Object.keys(FEEDS), urls = {}, onStatus } = {}) {
+  const connections = exchanges
+    .filter(name => FEEDS[name])
+    .map(name => connectFeed(name, FEEDS[name], {
+      url: urls[name] || FEEDS[name].url,
+      symbols,
+      store,
+      onStatus,
+    }));
+
+  return {
+    stop() {
+      for (const connection of connections) connection.stop();
+    },
+  };
+}
+
+export default { startPriceStream };
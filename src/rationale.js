@@ -0,0 +1,207 @@
+// Rationale - Deterministic explanation of a signal from what drove it
+// Ranks the strategy's component scores by their weighted contribution and
+// lists the risk gates that blocked the call, then renders a short headline
+// and bullets from per-language templates. The same inputs always give the
+// same text, and the headline names the factor that actually moved the call.
+//
+// Stored on each signal as:
+//   rationale            English headline
+//   rationale_factors    Ranked factors (language-independent)
+//   rationale_localized  { en: { headline, bullets }, es: { ... } }
+
+const NEUTRAL_SCORE = 3;  // |score| below this neither supports nor opposes
+const MAX_COMPONENTS = 3; // Component bullets shown (failed gates are always shown)
+
+const TEMPLATES = {
+  en: {
+    headline: {
+      call: '{timeframe} {direction}, driven by {top}',
+      blocked: '{timeframe} {direction} not tradeable: {gate} check failed',
+      mixed: '{timeframe} no call: {top} and {second} point different ways',
+      weak: '{timeframe} no call: no strong driver',
+    },
+    bullet: {
+      component: '{Label}: {stance} ({score})',
+      gate: '{Label} check failed',
+    },
+    direction: { UP: 'UP', DOWN: 'DOWN' },
+    stance: { bullish: 'bullish', bearish: 'bearish', neutral: 'neutral' },
+    labels: {
+      order_flow: 'order flow',
+      momentum: 'momentum',
+      sentiment: 'volume sentiment',
+      band: 'Bollinger stretch',
+      rsi: 'RSI',
+      vwap: 'distance from VWAP',
+      range: 'range breakout',
+      trend: 'ADX trend',
+      volume: 'volume surge',
+      volatility: 'volatility',
+      liquidity: 'liquidity',
+      time: 'time left',
+      conflict: 'component conflict',
+      correlation: 'correlation',
+      edge: 'market edge',
+      mtf: 'higher timeframe',
+    },
+  },
+  es: {
+    headline: {
+      call: '{timeframe} {direction}, impulsada por {top}',
+      blocked: '{timeframe} {direction} no operable: falló el control de {gate}',
+      mixed: '{timeframe} sin llamada: {top} y {second} apuntan en direcciones opuestas',
+      weak: '{timeframe} sin llamada: ningún factor dominante',
+    },
+    bullet: {
+      component: '{Label}: {stance} ({score})',
+      gate: 'Falló el control de {label}',
+    },
+    direction: { UP: 'AL ALZA', DOWN: 'A LA BAJA' },
+    stance: { bullish: 'alcista', bearish: 'bajista', neutral: 'neutral' },
+    labels: {
+      order_flow: 'flujo de órdenes',
+      momentum: 'momento',
+      sentiment: 'sentimiento de volumen',
+      band: 'extensión de Bollinger',
+      rsi: 'RSI',
+      vwap: 'distancia al VWAP',
+      range: 'ruptura de rango',
+      trend: 'tendencia ADX',
+      volume: 'pico de volumen',
+      volatility: 'volatilidad',
+      liquidity: 'liquidez',
+      time: 'tiempo restante',
+      conflict: 'conflicto entre componentes',
+      correlation: 'correlación',
+      edge: 'ventaja de mercado',
+      mtf: 'marco temporal superior',
+    },
+  },
+};
+
+export const LOCALES = Object.keys(TEMPLATES);
+
+/**
+ * Fill {placeholders} in a template
+ */
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+/**
+ * Factor label in a language (unknown components fall back to their name)
+ */
+function label(id, language) {
+  return TEMPLATES[language].labels[id] ?? id.replace(/_/g, ' ');
+}
+
+/**
+ * Capitalize the first letter (labels start sentences in bullets)
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Sort by id without locale rules (same order on every machine)
+ */
+function compareIds(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Which way a score leans
+ */
+function stanceOf(score) {
+  if (score >= NEUTRAL_SCORE) return 'bullish';
+  if (score <= -NEUTRAL_SCORE) return 'bearish';
+  return 'neutral';
+}
+
+/**
+ * Rank what drove a call
+ * Failed gates first (only for UP/DOWN calls, which they block), then
+ * components by |score × weight|, ties broken by name.
+ */
+export function rankFactors({ direction, scores, weights, gates = {} }) {
+  const round = value => Math.round(value * 10) / 10;
+
+  const blocking = direction === 'FLAT'
+    ? []
+    : Object.entries(gates)
+      .filter(([, gate]) => !gate.pass)
+      .sort(([a], [b]) => compareIds(a, b))
+      .map(([id, gate]) => ({ type: 'gate', id, pass: false, reason: gate.reason }));
+
+  const components = Object.entries(scores)
+    .map(([id, score]) => ({
+      type: 'component',
+      id,
+      score: round(score),
+      weight: weights[id] ?? 0,
+      contribution: round(score * (weights[id] ?? 0)),
+      stance: stanceOf(score),
+    }))
+    .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution) || compareIds(a.id, b.id));
+
+  return [...blocking, ...components].map((factor, i) => ({ rank: i + 1, ...factor }));
+}
+
+/**
+ * Headline and bullets for ranked factors in one language
+ */
+export function renderRationale({ direction, timeframe, factors }, language = 'en') {
+  const lang = TEMPLATES[language] ? language : 'en';
+  const templates = TEMPLATES[lang];
+  const components = factors.filter(f => f.type === 'component');
+  const blocking = factors.filter(f => f.type === 'gate');
+
+  let headline;
+  if (direction !== 'FLAT' && blocking.length > 0) {
+    headline = fill(templates.headline.blocked, {
+      timeframe,
+      direction: templates.direction[direction],
+      gate: label(blocking[0].id, lang),
+    });
+  } else if (direction !== 'FLAT') {
+    // The biggest contribution in the call's direction is what drove it
+    const sign = direction === 'UP' ? 1 : -1;
+    const driver = components.find(f => f.contribution * sign > 0) ?? components[0];
+    headline = fill(templates.headline.call, {
+      timeframe,
+      direction: templates.direction[direction],
+      top: driver ? label(driver.id, lang) : '-',
+    });
+  } else {
+    const leaning = components.filter(f => f.stance !== 'neutral');
+    const opposite = leaning.find(f => Math.sign(f.score) !== Math.sign(leaning[0].score));
+    headline = opposite
+      ? fill(templates.headline.mixed, { timeframe, top: label(leaning[0].id, lang), second: label(opposite.id, lang) })
+      : fill(templates.headline.weak, { timeframe });
+  }
+
+  const bullets = [
+    ...blocking.map(f => fill(templates.bullet.gate, { label: label(f.id, lang), Label: capitalize(label(f.id, lang)) })),
+    ...components.slice(0, MAX_COMPONENTS).map(f => fill(templates.bullet.component, {
+      Label: capitalize(label(f.id, lang)),
+      stance: templates.stance[f.stance],
+      score: `${f.score > 0 ? '+' : ''}${Math.round(f.score)}`,
+    })),
+  ];
+
+  return { headline, bullets };
+}
+
+/**
+ * Explain a signal: ranked factors plus its rationale in every language
+ * Returns { headline (English), factors, localized: { en, es } }
+ */
+export function explainSignal({ direction, timeframe, scores, weights, gates }) {
+  const factors = rankFactors({ direction, scores, weights, gates });
+  const localized = Object.fromEntries(
+    LOCALES.map(language => [language, renderRationale({ direction, timeframe, factors }, language)])
+  );
+  return { headline: localized.en.headline, factors, localized };
+}
+
+export default { LOCALES, rankFactors, renderRationale, explainSignal };
@@ -0,0 +1,159 @@
+// Risk Gates - Checks a call must pass to be tradeable
+// Each gate returns { pass, reason }; reasons are stored with the signal.
+// Limits come from the config's gates section:
+//   minDepthUsd              Minimum USD depth within the primary order book band
+//   maxVolatilityPercentile  Current ATR% above this percentile of the asset's own
+//   minVolatilitySamples     recent ATR% (given this many samples) is too volatile
+//   minTimeLeftFraction      No new calls in the last part of the window being predicted
+//   maxCorrelation           Assets that move together this closely count as the same bet
+//   correlationBars          (measured over this many bars)
+//   conflictLevel            Component scores stronger than this in opposite directions conflict
+
+import { atrSeries } from './indicators.js';
+import { getSignalWindow, TIMEFRAME_MINUTES } from './signalWindows.js';
+import { getConfig } from './config.js';
+
+const pct = value => `${value.toFixed(2)}%`;
+
+/**
+ * Volatility vs the asset's own regime: current ATR% must not be in the top
+ * decile of its recent ATR% history
+ */
+export function volatilityGate(klines) {
+  const { maxVolatilityPercentile, minVolatilitySamples } = getConfig().gates;
+  const series = atrSeries(klines)
+    .map((atr, i) => (atr === null ? null : (atr / klines[i].close) * 100))
+    .filter(value => value !== null);
+
+  if (series.length < minVolatilitySamples) {
+    return { pass: true, reason: `Only ${series.length} ATR samples, volatility regime not judged` };
+  }
+
+  const current = series[series.length - 1];
+  const percentile = (series.filter(value => value <= current).length / series.length) * 100;
+  const pass = percentile <= maxVolatilityPercentile;
+
+  return {
+    pass,
+    reason: `ATR ${pct(current)} is at the ${Math.round(percentile)}th percentile of the last ` +
+      `${series.length} bars (limit ${maxVolatilityPercentile}th)`,
+  };
+}
+
+/**
+ * Liquidity: USD depth near mid (fails when no exchange returned a book)
+ */
+export function liquidityGate(orderBook) {
+  if (!orderBook) return { pass: false, reason: 'No order book depth from any exchange' };
+
+  const { minDepthUsd } = getConfig().gates;
+  const depth = orderBook.bidNotional + orderBook.askNotional;
+  return {
+    pass: depth > minDepthUsd,
+    reason: `$${Math.round(depth).toLocaleString()} depth near mid (minimum $${minDepthUsd.toLocaleString()})`,
+  };
+}
+
+/**
+ * Time: enough of the predicted window must be left to act on the call
+ */
+export function timeGate(timeframe, now = new Date()) {
+  const { end } = getSignalWindow(timeframe, now);
+  const minutesLeft = (end.getTime() - now.getTime()) / 60000;
+  const minimum = TIMEFRAME_MINUTES[timeframe] * getConfig().gates.minTimeLeftFraction;
+
+  return {
+    pass: minutesLeft >= minimum,
+    reason: `${Math.floor(minutesLeft)}m left in the ${timeframe} window (minimum ${minimum}m)`,
+  };
+}
+
+/**
+ * Conflict: the strongest bullish and bearish components must not both be strong
+ */
+export function conflictGate(scores) {
+  const entries = Object.entries(scores);
+  if (entries.length === 0) return { pass: true, reason: 'No component scores' };
+
+  const { conflictLevel } = getConfig().gates;
+  const [bullName, bull] = entries.reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+  const [bearName, bear] = entries.reduce((best, entry) => (entry[1] < best[1] ? entry : best));
+
+  if (bull > conflictLevel && bear < -conflictLevel) {
+    return {
+      pass: false,
+      reason: `${bullName} +${bull.toFixed(1)} and ${bearName} ${bear.toFixed(1)} disagree (limit ±${conflictLevel})`,
+    };
+  }
+  return { pass: true, reason: `Components agree (none beyond ±${conflictLevel} in opposite directions)` };
+}
+
+/**
+ * Pearson correlation of bar-to-bar log returns over the bars both series share
+ */
+export function returnCorrelation(klinesA, klinesB, bars = getConfig().gates.correlationBars) {
+  const closesB = new Map(klinesB.map(k => [k.openTime, k.close]));
+  const shared = klinesA.filter(k => closesB.has(k.openTime)).slice(-(bars + 1));
+  if (shared.length < 10) return null;
+
+  const a = [];
+  const b = [];
+  for (let i = 1; i < shared.length; i++) {
+    a.push(Math.log(shared[i].close / shared[i - 1].close));
+    b.push(Math.log(closesB.get(shared[i].openTime) / closesB.get(shared[i - 1].openTime)));
+  }
+
+  const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+  const meanA = mean(a);
+  const meanB = mean(b);
+  let cov = 0;
+  let varA = 0;
+  let varB = 0;
+  for (let i = 0; i < a.length; i++) {
+    cov += (a[i] - meanA) * (b[i] - meanB);
+    varA += (a[i] - meanA) ** 2;
+    varB += (b[i] - meanB) ** 2;
+  }
+  return varA === 0 || varB === 0 ? null : cov / Math.sqrt(varA * varB);
+}
+
+/**
+ * Correlation: don't stack a call on a closely correlated asset that already
+ * has an active tradeable call in the same direction
+ * activeCalls: [{ symbol, direction, profile }], correlations: { symbol: rho }
+ */
+export function correlationGate(direction, profile, activeCalls = [], correlations = {}) {
+  if (direction === 'FLAT') return { pass: true, reason: 'No call to stack' };
+
+  const { maxCorrelation } = getConfig().gates;
+  const stacked = activeCalls
+    .filter(call => call.profile === profile && call.direction === direction)
+    .map(call => ({ ...call, rho: correlations[call.symbol] }))
+    .filter(call => call.rho !== null && call.rho !== undefined && call.rho >= maxCorrelation)
+    .sort((x, y) => y.rho - x.rho);
+
+  if (stacked.length > 0) {
+    const [top] = stacked;
+    return {
+      pass: false,
+      reason: `Moves with ${top.symbol} (ρ ${top.rho.toFixed(2)}), which already has an active ${direction} call`,
+    };
+  }
+
+  const measured = Object.entries(correlations).filter(([, rho]) => rho !== null);
+  return {
+    pass: true,
+    reason: measured.length > 0
+      ? `No correlated ${direction} calls (${measured.map(([s, rho]) => `${s} ρ ${rho.toFixed(2)}`).join(', ')})`
+      : 'No other active calls',
+  };
+}
+
+export default {
+  volatilityGate,
+  liquidityGate,
+  timeGate,
+  conflictGate,
+  returnCorrelation,
+  correlationGate,
+};
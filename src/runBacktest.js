@@ -0,0 +1,318 @@
+// Backtest Runner - Replays historical candles through the signal strategies
+// Usage: node src/runBacktest.js <candles.csv|candles.json> [--symbol BTC] [--timeframe 15m]
+//        [--strategy agent-alpha|all] [--out report.json]
+//        node src/runBacktest.js --source supabase --symbol BTC --timeframe 15m [--since 2026-01-01]
+//        (either form also takes [--calibration latest])
+//
+// Each bar is scored using only the candles up to and including it, and the
+// call is checked against the next bar (close vs open), so there is no lookahead.
+// Bars go through the same analyzeMarket/buildSignal as live signals, with
+// higher timeframes (confluence and the veto) rolled up from the series itself.
+// There are no historical order books, so order flow is left unscored and
+// liquidity isn't judged; there are no Polymarket prices or other assets' calls
+// either. --calibration latest applies the stored calibration models (needs
+// Supabase credentials); otherwise confidence is uncalibrated.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { analyzeMarket, buildSignal, failedGates, setCalibrationModels, PROFILES } from './signalGenerator.js';
+import { MTF_INTERVALS } from './multiTimeframe.js';
+import { TIMEFRAME_MINUTES } from './signalWindows.js';
+import { getStrategy, getStrategies } from './strategies/index.js';
+
+const INTERVAL_MINUTES = { '15m': 15, '1h': 60, '4h': 240, 'daily': 1440 };
+const WINDOW_SIZE = 100; // Same number of klines generateSignal fetches
+const MIN_HISTORY = 20;  // Momentum score needs at least 20 candles
+const NO_ORDER_BOOK = { pass: true, reason: 'No historical order book, liquidity not judged' };
+
+/**
+ * Parse --flag value pairs and positional arguments
+ */
+function parseArgs(argv) {
+  const args = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args.files.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+/**
+ * Normalize a raw candle row (CSV or JSON) to the kline shape used by fetchKlines
+ */
+function toKline(row, defaults) {
+  const timeframe = row.timeframe || defaults.timeframe;
+  const openTime = Number.isFinite(Number(row.openTime))
+    ? Number(row.openTime)
+    : Date.parse(row.openTime);
+
+  return {
+    symbol: (row.symbol || defaults.symbol || '').toUpperCase(),
+    timeframe,
+    openTime,
+    open: parseFloat(row.open),
+    high: parseFloat(row.high),
+    low: parseFloat(row.low),
+    close: parseFloat(row.close),
+    volume: parseFloat(row.volume) || 0,
+    closeTime: openTime + (INTERVAL_MINUTES[timeframe] || 15) * 60000,
+    trades: parseInt(row.trades) || 0,
+  };
+}
+
+/**
+ * Parse CSV with a header row (symbol,timeframe,openTime,open,high,low,close,volume)
+ */
+function parseCSV(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const header = lines.shift().split(',').map(h => h.trim());
+
+  return lines.map((line) => {
+    const values = line.split(',');
+    return Object.fromEntries(header.map((h, i) => [h, values[i]?.trim()]));
+  });
+}
+
+/**
+ * Flatten JSON input: either an array of candles or { BTC: { '15m': [...] } }
+ */
+function flattenJSON(data) {
+  if (Array.isArray(data)) return data;
+
+  const rows = [];
+  for (const [symbol, timeframes] of Object.entries(data)) {
+    for (const [timeframe, candles] of Object.entries(timeframes)) {
+      for (const candle of candles) rows.push({ symbol, timeframe, ...candle });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Load candles from a local file, grouped by symbol/timeframe
+ */
+async function loadCandles(file, defaults) {
+  const text = await readFile(file, 'utf8');
+  const rows = extname(file).toLowerCase() === '.csv'
+    ? parseCSV(text)
+    : flattenJSON(JSON.parse(text));
+
+  const groups = new Map();
+  for (const row of rows) {
+    const kline = toKline(row, defaults);
+    if (!kline.symbol || !INTERVAL_MINUTES[kline.timeframe]) {
+      throw new Error(`Candle is missing a symbol or valid timeframe: ${JSON.stringify(row)}`);
+    }
+    if ([kline.openTime, kline.open, kline.high, kline.low, kline.close].some(Number.isNaN)) {
+      throw new Error(`Candle has invalid numbers: ${JSON.stringify(row)}`);
+    }
+
+    const key = `${kline.symbol}|${kline.timeframe}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(kline);
+  }
+
+  for (const candles of groups.values()) {
+    candles.sort((a, b) => a.openTime - b.openTime);
+  }
+  return groups;
+}
+
+/**
+ * Load candles from the Supabase candle store (imported lazily so file
+ * backtests don't need Supabase credentials)
+ */
+async function loadStoredCandles({ symbol, timeframe, since }) {
+  if (!symbol || !timeframe) {
+    throw new Error('--source supabase needs --symbol and --timeframe');
+  }
+
+  const { loadCandleHistory } = await import('./candleStore.js');
+  const candles = await loadCandleHistory(symbol.toUpperCase(), timeframe, { since });
+  return new Map([[`${symbol.toUpperCase()}|${timeframe}`, candles]]);
+}
+
+/**
+ * Higher-timeframe klines as of a bar, rolled up from the series into
+ * UTC-aligned buckets (the last one still forming, like live klines)
+ * Returns klinesAt(index) -> { interval: klines }
+ */
+function rollUpHigherTimeframes(candles, timeframe) {
+  const merge = (bars, openTime, minutes) => ({
+    openTime,
+    open: bars[0].open,
+    high: Math.max(...bars.map(k => k.high)),
+    low: Math.min(...bars.map(k => k.low)),
+    close: bars[bars.length - 1].close,
+    volume: bars.reduce((sum, k) => sum + k.volume, 0),
+    closeTime: openTime + minutes * 60000,
+    trades: bars.reduce((sum, k) => sum + k.trades, 0),
+  });
+
+  const rollUps = MTF_INTERVALS.slice(MTF_INTERVALS.indexOf(timeframe) + 1).map((interval) => {
+    const minutes = INTERVAL_MINUTES[interval];
+    const size = minutes * 60000;
+
+    // Each bucket's open time and first candle
+    const buckets = [];
+    candles.forEach((candle, index) => {
+      const openTime = Math.floor(candle.openTime / size) * size;
+      if (buckets[buckets.length - 1]?.openTime !== openTime) buckets.push({ openTime, first: index });
+    });
+    const complete = buckets.map((bucket, b) => (
+      merge(candles.slice(bucket.first, buckets[b + 1]?.first ?? candles.length), bucket.openTime, minutes)
+    ));
+
+    return { interval, minutes, buckets, complete };
+  });
+
+  return index => Object.fromEntries(rollUps.map(({ interval, minutes, buckets, complete }) => {
+    const current = buckets.findLastIndex(bucket => bucket.first <= index);
+    const { openTime, first } = buckets[current];
+    return [interval, [
+      ...complete.slice(Math.max(0, current - WINDOW_SIZE + 1), current),
+      merge(candles.slice(first, index + 1), openTime, minutes),
+    ]];
+  }));
+}
+
+/**
+ * Replay one symbol/timeframe series bar by bar, building each profile's
+ * signal the way generateProfileSignals does
+ */
+function backtestSeries(candles, symbol, timeframe, strategy) {
+  const results = Object.fromEntries(
+    PROFILES.map((aggressiveness) => [aggressiveness, {
+      aggressiveness,
+      signals: 0,
+      flat: 0,
+      blocked: 0,
+      blockedBy: {},
+      hits: 0,
+      misses: 0,
+      equity: 0,
+      equityCurve: [],
+    }])
+  );
+  const higherKlinesAt = rollUpHigherTimeframes(candles, timeframe);
+
+  for (let i = MIN_HISTORY - 1; i < candles.length - 1; i++) {
+    const klinesByInterval = {
+      ...higherKlinesAt(i),
+      [timeframe]: candles.slice(Math.max(0, i - WINDOW_SIZE + 1), i + 1),
+    };
+    const analysis = analyzeMarket({ klinesByInterval }, timeframe, { strategy });
+    analysis.marketGates.liquidity = NO_ORDER_BOOK;
+
+    // Scored as the bar closes, predicting the next one
+    const now = new Date(candles[i].closeTime);
+    const next = candles[i + 1];
+    const wentUp = next.close > next.open;
+
+    for (const result of Object.values(results)) {
+      const signal = buildSignal(analysis, result.aggressiveness, { symbol, timeframe, strategy, now });
+      result.signals++;
+
+      if (signal.direction === 'FLAT') {
+        result.flat++;
+      } else if (!signal.tradeable) {
+        result.blocked++;
+        for (const gate of Object.keys(failedGates(signal))) {
+          result.blockedBy[gate] = (result.blockedBy[gate] ?? 0) + 1;
+        }
+      } else {
+        const hit = (signal.direction === 'UP') === wentUp;
+        if (hit) result.hits++;
+        else result.misses++;
+        // Even-money binary payout: +1 unit per hit, -1 per miss
+        result.equity += hit ? 1 : -1;
+      }
+
+      result.equityCurve.push({ time: new Date(next.closeTime).toISOString(), equity: result.equity });
+    }
+  }
+
+  return Object.values(results).map((result) => {
+    const calls = result.hits + result.misses;
+    return { ...result, calls, hitRate: calls > 0 ? result.hits / calls : null };
+  });
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.files.length === 0 && args.source !== 'supabase') {
+    console.error('❌ No candle file given');
+    console.log('   Usage: npm run backtest -- <candles.csv|candles.json> [--symbol BTC] [--timeframe 15m] [--strategy agent-alpha|all] [--out report.json]');
+    console.log('          npm run backtest -- --source supabase --symbol BTC --timeframe 15m [--since 2026-01-01]');
+    console.log('          (either form also takes [--calibration latest])');
+    process.exit(1);
+  }
+
+  const strategies = args.strategy === 'all' ? getStrategies() : [getStrategy(args.strategy)];
+
+  // Stored calibration models, as the live service applies them
+  if (args.calibration === 'latest') {
+    const { loadCalibrationModels, getCalibrationModel } = await import('./calibrationStore.js');
+    await loadCalibrationModels();
+    setCalibrationModels(getCalibrationModel);
+  }
+
+  console.log('═══════════════════════════════════════════');
+  console.log('  POLYMARKET PREDICTOR - Backtest');
+  console.log('═══════════════════════════════════════════');
+
+  const sources = args.source === 'supabase' ? ['supabase'] : args.files;
+
+  const report = [];
+  for (const file of sources) {
+    const groups = file === 'supabase'
+      ? await loadStoredCandles(args)
+      : await loadCandles(file, { symbol: args.symbol, timeframe: args.timeframe });
+
+    for (const [key, candles] of groups) {
+      const [symbol, timeframe] = key.split('|');
+
+      if (candles.length <= MIN_HISTORY) {
+        console.log(`\n⏭️  ${symbol} ${timeframe}: only ${candles.length} candles, need more than ${MIN_HISTORY}`);
+        continue;
+      }
+      if (!TIMEFRAME_MINUTES[timeframe]) {
+        console.log(`\n⏭️  ${symbol} ${timeframe}: signals are only generated for ${Object.keys(TIMEFRAME_MINUTES).join(', ')}`);
+        continue;
+      }
+
+      console.log(`\n📈 ${symbol} ${timeframe} (${candles.length} candles, ${file})`);
+      for (const strategy of strategies) {
+        console.log(`   ${strategy.name}`);
+        for (const result of backtestSeries(candles, symbol, timeframe, strategy)) {
+          const hitRate = result.hitRate === null ? 'N/A' : `${(result.hitRate * 100).toFixed(1)}%`;
+          console.log(
+            `     ${result.aggressiveness.padEnd(12)} hit rate ${hitRate.padStart(6)} | ` +
+            `${result.calls} calls | ${result.flat} FLAT | ${result.blocked} blocked | equity ${result.equity >= 0 ? '+' : ''}${result.equity}`
+          );
+          report.push({ symbol, timeframe, strategy: strategy.id, ...result });
+        }
+      }
+    }
+  }
+
+  if (args.out) {
+    await writeFile(args.out, JSON.stringify(report, null, 2));
+    console.log(`\n💾 Report with equity curves written to ${args.out}`);
+  }
+
+  console.log('\n🏁 Done!\n');
+}
+
+main().catch((error) => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
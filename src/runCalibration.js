@@ -0,0 +1,141 @@
+// Calibration Runner - Fits confidence calibration from graded signals
+// Usage: node src/runCalibration.js [--timeframe 15m|1h|daily|all] [--strategy <id>|all]
+//        [--since 2026-01-01] [--out reliability.json]
+//
+// Each strategy and timeframe is fitted separately. The oldest 80% of samples
+// fit a model that is checked on the newest 20% (Brier score and reliability
+// bins, raw vs calibrated). A model that doesn't beat raw confidence on the
+// holdout is not stored; otherwise it is refitted on every sample and saved as
+// the next version for its strategy and timeframe.
+
+import { writeFile } from 'node:fs/promises';
+import { fitIsotonic, applyCalibration, brierScore, reliabilityTable } from './calibration.js';
+import { fetchCalibrationSamples, saveCalibrationModel } from './calibrationStore.js';
+import { TIMEFRAME_MINUTES } from './signalWindows.js';
+import { getStrategies } from './strategies/index.js';
+import { supabaseConfigured, reportMissingCredentials } from './supabase.js';
+
+const MIN_SAMPLES = 200;     // Fewer graded runs than this aren't enough to fit
+const HOLDOUT_FRACTION = 0.2;
+
+/**
+ * Parse --flag value pairs
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+/**
+ * Fit, check and store a model for one strategy and timeframe
+ */
+async function calibrateTimeframe(strategyId, timeframe, { since }) {
+  const label = `${strategyId} ${timeframe}`;
+  const samples = await fetchCalibrationSamples(strategyId, timeframe, { since });
+  if (samples.length < MIN_SAMPLES) {
+    console.log(`\n⏭️  ${label}: only ${samples.length} graded runs, need ${MIN_SAMPLES}`);
+    return null;
+  }
+
+  const split = Math.floor(samples.length * (1 - HOLDOUT_FRACTION));
+  const holdout = samples.slice(split);
+  const trial = { points: fitIsotonic(samples.slice(0, split)) };
+  const calibrate = raw => applyCalibration(raw, trial);
+
+  const brierRaw = brierScore(holdout);
+  const brierCalibrated = brierScore(holdout, calibrate);
+  const reliability = {
+    raw: reliabilityTable(holdout),
+    calibrated: reliabilityTable(holdout, calibrate),
+  };
+
+  console.log(`\n📐 ${label}: ${samples.length} graded runs (${holdout.length} held out)`);
+  console.log(`   Brier raw ${brierRaw.toFixed(4)} → calibrated ${brierCalibrated.toFixed(4)}`);
+  for (const [kind, bins] of Object.entries(reliability)) {
+    for (const bin of bins) {
+      console.log(
+        `   ${kind.padEnd(10)} ${bin.bin.padEnd(7)} ${String(bin.count).padStart(5)} calls | ` +
+        `predicted ${bin.mean_predicted}% | observed ${bin.observed}%`
+      );
+    }
+  }
+
+  const result = { strategy_id: strategyId, timeframe, samples: samples.length, brierRaw, brierCalibrated, reliability, version: null };
+  if (brierCalibrated >= brierRaw) {
+    console.log('   ⚠️  Calibration does not improve on raw confidence - not stored');
+    return result;
+  }
+
+  const model = await saveCalibrationModel({
+    strategy_id: strategyId,
+    timeframe,
+    method: 'isotonic',
+    points: fitIsotonic(samples),
+    samples: samples.length,
+    brier_raw: Number(brierRaw.toFixed(6)),
+    brier_calibrated: Number(brierCalibrated.toFixed(6)),
+    reliability,
+    trained_from: samples[0].generatedAt,
+    trained_to: samples[samples.length - 1].generatedAt,
+  });
+  console.log(`   ✅ Stored ${label} calibration v${model.version}`);
+  return { ...result, version: model.version };
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const timeframes = !args.timeframe || args.timeframe === 'all'
+    ? Object.keys(TIMEFRAME_MINUTES)
+    : [args.timeframe];
+
+  const strategyIds = getStrategies().map(strategy => strategy.id);
+  const strategies = !args.strategy || args.strategy === 'all' ? strategyIds : [args.strategy];
+  const usage = '   Usage: npm run calibrate -- [--timeframe 15m|1h|daily|all] [--strategy <id>|all] ' +
+    '[--since 2026-01-01] [--out reliability.json]';
+
+  if (!timeframes.every(tf => TIMEFRAME_MINUTES[tf])) {
+    console.error(`❌ Unknown timeframe: ${args.timeframe}`);
+    console.log(usage);
+    process.exit(1);
+  }
+  if (!strategies.every(id => strategyIds.includes(id))) {
+    console.error(`❌ Unknown strategy: ${args.strategy} (expected ${strategyIds.join(', ')})`);
+    console.log(usage);
+    process.exit(1);
+  }
+
+  if (!supabaseConfigured) {
+    reportMissingCredentials();
+    process.exit(1);
+  }
+
+  console.log('═══════════════════════════════════════════');
+  console.log('  POLYMARKET PREDICTOR - Calibration');
+  console.log('═══════════════════════════════════════════');
+
+  const report = [];
+  for (const strategyId of strategies) {
+    for (const timeframe of timeframes) {
+      const result = await calibrateTimeframe(strategyId, timeframe, { since: args.since });
+      if (result) report.push(result);
+    }
+  }
+
+  if (args.out) {
+    await writeFile(args.out, JSON.stringify(report, null, 2));
+    console.log(`\n💾 Reliability data written to ${args.out}`);
+  }
+
+  console.log('\n🏁 Done!\n');
+}
+
+main().catch((error) => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
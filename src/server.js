@@ -0,0 +1,277 @@
+// HTTP API - Health checks, latest signals and manual regeneration
+//
+// GET  /health              Last price update and signal per market/timeframe
+//                           ('starting' until the first job cycle has run, then 503 when degraded)
+// GET  /signals/latest      Latest signal per market/timeframe/strategy/profile
+//                           (?market=btc-usd&timeframe=15m&strategy=agent-alpha&profile=conservative)
+// GET  /markets             Active markets with current prices
+// GET  /strategies          Enabled signal strategies
+// GET  /metrics             Prometheus metrics
+// POST /signals/regenerate  { "market": "btc-usd", "timeframe": "15m", "strategy": "agent-alpha", "profile": "moderate" }
+//                           Requires Authorization: Bearer $API_TOKEN
+
+import http from 'node:http';
+import { timingSafeEqual } from 'node:crypto';
+import { supabase } from './supabase.js';
+import { getActiveMarkets } from './marketRegistry.js';
+import { getExchangeHealth } from './exchangeRegistry.js';
+import { getServiceStatus } from './serviceStatus.js';
+import { getCandleStatus } from './candleStore.js';
+import { TIMEFRAME_MINUTES } from './signalWindows.js';
+import { getEnabledStrategies, DEFAULT_STRATEGY_ID } from './strategies/index.js';
+import { PROFILES } from './signalGenerator.js';
+import { renderMetrics } from './metrics.js';
+import { getConfigHash } from './config.js';
+import { logger } from './logger.js';
+
+const STALE_PRICE_MS = 2 * 60 * 1000; // Health degrades when a price is older than this
+const MAX_BODY_BYTES = 10 * 1024;
+
+/**
+ * Send a JSON response
+ */
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJSON(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (e) {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Check the bearer token against API_TOKEN
+ */
+function isAuthorized(req) {
+  const token = process.env.API_TOKEN;
+  const header = req.headers.authorization || '';
+  if (!token || !header.startsWith('Bearer ')) return false;
+
+  const given = Buffer.from(header.slice('Bearer '.length));
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * GET /health
+ */
+function handleHealth(req, res) {
+  const status = getServiceStatus();
+  const now = Date.now();
+
+  const stale = getActiveMarkets().filter(({ id }) => {
+    const lastUpdate = status.markets[id]?.lastPriceUpdate;
+    return !lastUpdate || now - new Date(lastUpdate).getTime() > STALE_PRICE_MS;
+  });
+
+  // Degraded is a 503 so probes and load balancers notice it; while the startup
+  // run (candle backfill, calibration, first prices) is going the check passes
+  let health = stale.length === 0 ? 'ok' : 'degraded';
+  if (!status.startupCompletedAt) health = 'starting';
+
+  sendJSON(res, health === 'degraded' ? 503 : 200, {
+    status: health,
+    stalePrices: stale.map(m => m.id),
+    ...status,
+    exchanges: getExchangeHealth(),
+    candles: getCandleStatus(),
+    configHash: getConfigHash(),
+  });
+}
+
+/**
+ * GET /signals/latest
+ * One query against the latest_signals view (newest row per
+ * market/timeframe/strategy/profile), limited to active markets' timeframes.
+ */
+async function handleLatestSignals(req, res, url) {
+  const marketFilter = url.searchParams.get('market');
+  const timeframeFilter = url.searchParams.get('timeframe');
+  const strategyFilter = url.searchParams.get('strategy');
+  const profileFilter = url.searchParams.get('profile');
+
+  const markets = getActiveMarkets().filter(m => !marketFilter || m.id === marketFilter);
+  const timeframes = [...new Set(markets.flatMap(m => m.timeframes))]
+    .filter(timeframe => !timeframeFilter || timeframe === timeframeFilter);
+  const strategies = getEnabledStrategies().map(s => s.id).filter(id => !strategyFilter || id === strategyFilter);
+  const profiles = PROFILES.filter(profile => !profileFilter || profile === profileFilter);
+
+  if ([markets, timeframes, strategies, profiles].some(list => list.length === 0)) {
+    return sendJSON(res, 200, { signals: [] });
+  }
+
+  const { data, error } = await supabase
+    .from('latest_signals')
+    .select('*')
+    .in('market_id', markets.map(m => m.id))
+    .in('timeframe', timeframes)
+    .in('strategy_id', strategies)
+    .in('profile', profiles)
+    .order('market_id')
+    .order('timeframe')
+    .order('strategy_id')
+    .order('profile');
+
+  if (error) throw new Error(error.message);
+
+  // A market only reports the timeframes it has enabled
+  const enabled = new Map(markets.map(m => [m.id, m.timeframes]));
+  const signals = data.filter(signal => enabled.get(signal.market_id)?.includes(signal.timeframe));
+
+  sendJSON(res, 200, { signals });
+}
+
+/**
+ * GET /markets
+ */
+async function handleMarkets(req, res) {
+  const markets = getActiveMarkets();
+  const { data, error } = await supabase
+    .from('markets')
+    .select('*')
+    .in('id', markets.map(m => m.id));
+
+  if (error) throw new Error(error.message);
+
+  const rows = new Map((data || []).map(row => [row.id, row]));
+  sendJSON(res, 200, {
+    markets: markets.map(m => ({
+      ...rows.get(m.id),
+      id: m.id,
+      symbol: m.symbol,
+      timeframes: m.timeframes,
+    })),
+  });
+}
+
+/**
+ * GET /strategies
+ */
+function handleStrategies(req, res) {
+  sendJSON(res, 200, {
+    strategies: getEnabledStrategies().map(({ id, name, description, weights }) => ({
+      id,
+      name,
+      description,
+      weights,
+    })),
+  });
+}
+
+/**
+ * GET /metrics
+ */
+function handleMetrics(req, res) {
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+  res.end(renderMetrics());
+}
+
+/**
+ * POST /signals/regenerate
+ */
+async function handleRegenerate(req, res, url, { regenerate }) {
+  if (!process.env.API_TOKEN) {
+    return sendJSON(res, 503, { error: 'Regeneration is disabled (API_TOKEN not set)' });
+  }
+  if (!isAuthorized(req)) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+
+  let body;
+  try {
+    body = await readJSON(req);
+  } catch (e) {
+    return sendJSON(res, 400, { error: e.message });
+  }
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    return sendJSON(res, 400, { error: 'Request body must be a JSON object' });
+  }
+
+  const market = getActiveMarkets().find(m => m.id === body.market);
+  if (!market) {
+    return sendJSON(res, 400, { error: `Unknown or inactive market: ${body.market}` });
+  }
+  if (!TIMEFRAME_MINUTES[body.timeframe] || !market.timeframes.includes(body.timeframe)) {
+    return sendJSON(res, 400, { error: `Timeframe ${body.timeframe} is not enabled for ${market.id}` });
+  }
+
+  const strategy = getEnabledStrategies().find(s => s.id === (body.strategy ?? DEFAULT_STRATEGY_ID));
+  if (!strategy) {
+    return sendJSON(res, 400, { error: `Unknown or disabled strategy: ${body.strategy}` });
+  }
+
+  if (body.profile !== undefined && !PROFILES.includes(body.profile)) {
+    return sendJSON(res, 400, { error: `Unknown profile: ${body.profile}` });
+  }
+
+  let signals;
+  try {
+    signals = await regenerate(market, body.timeframe, strategy, body.profile ? [body.profile] : PROFILES);
+  } catch (error) {
+    if (error.code !== 'SHUTTING_DOWN') throw error;
+    return sendJSON(res, 503, { error: error.message });
+  }
+  if (!signals) {
+    return sendJSON(res, 409, { error: `${market.id} ${body.timeframe} is being generated right now, try again shortly` });
+  }
+  sendJSON(res, 201, { signals });
+}
+
+const ROUTES = {
+  'GET /health': handleHealth,
+  'GET /signals/latest': handleLatestSignals,
+  'GET /markets': handleMarkets,
+  'GET /strategies': handleStrategies,
+  'GET /metrics': handleMetrics,
+  'POST /signals/regenerate': handleRegenerate,
+};
+
+/**
+ * Start the HTTP API
+ * regenerate(market, timeframe, strategy, profiles) must generate and store a signal
+ * per profile, returning them (null while another run holds the market/timeframe).
+ */
+export function startServer({ port = process.env.PORT || 3000, regenerate }) {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const handler = ROUTES[`${req.method} ${url.pathname}`];
+
+    if (!handler) {
+      return sendJSON(res, 404, { error: 'Not found' });
+    }
+
+    try {
+      await handler(req, res, url, { regenerate });
+    } catch (error) {
+      logger.error('Request failed', { method: req.method, path: url.pathname, error });
+      if (!res.headersSent) sendJSON(res, 500, { error: error.message });
+    }
+  });
+
+  server.listen(port, () => {
+    logger.info('HTTP API listening', { port });
+  });
+  return server;
+}
+
+export default { startServer };
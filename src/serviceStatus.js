@@ -0,0 +1,59 @@
+// Service Status - In-memory record of the last successful work per market
+// Read by the /health endpoint
+
+const startedAt = new Date();
+let startupCompletedAt = null; // Set once the first run of every job has finished
+const markets = new Map(); // marketId -> { lastPriceUpdate, signals: { 'timeframe/strategy/profile': {...} } }
+
+/**
+ * Get (or create) the status entry for a market
+ */
+function entry(marketId) {
+  if (!markets.has(marketId)) {
+    markets.set(marketId, { lastPriceUpdate: null, priceSource: null, signals: {} });
+  }
+  return markets.get(marketId);
+}
+
+/**
+ * Record a successful price write for a market
+ */
+export function recordPriceUpdate(marketId, source) {
+  const status = entry(marketId);
+  status.lastPriceUpdate = new Date().toISOString();
+  status.priceSource = source ?? null;
+}
+
+/**
+ * Record a successfully stored signal
+ */
+export function recordSignal(signal) {
+  const key = `${signal.timeframe}/${signal.strategy_id}/${signal.profile}`;
+  entry(signal.market_id).signals[key] = {
+    lastGeneratedAt: signal.generated_at,
+    direction: signal.direction,
+    confidence: signal.confidence,
+    holdUntil: signal.hold_until,
+  };
+}
+
+/**
+ * Record that the startup job cycle has finished (health checks apply from then on)
+ */
+export function recordStartupComplete() {
+  startupCompletedAt = new Date();
+}
+
+/**
+ * Snapshot of service status
+ */
+export function getServiceStatus() {
+  return {
+    startedAt: startedAt.toISOString(),
+    startupCompletedAt: startupCompletedAt?.toISOString() ?? null,
+    uptimeSeconds: Math.round((Date.now() - startedAt.getTime()) / 1000),
+    markets: Object.fromEntries(markets),
+  };
+}
+
+export default { recordPriceUpdate, recordSignal, recordStartupComplete, getServiceStatus };
@@ -1,332 +1,348 @@
-// Signal Generator - Agent Alpha Logic
-// Generates trading signals based on technical analysis
+// Signal Generator - Strategy scoring engine
+// Generates trading signals based on technical analysis (see strategies/)
+// Thresholds, hold periods, score limits and the edge gate come from the
+// config's scoring/gates sections and are read on every run (hot reload).
+// analyzeMarket/buildSignal take the market data as arguments, so the
+// backtester replays candles through the same scoring as live signals.
 
-import { fetchKlines, fetchOrderBook, fetchPrice } from './priceFetcher.js';
+import { fetchKlines, fetchOrderBook } from './priceFetcher.js';
+import { getStrategy } from './strategies/index.js';
+import { getSignalWindow } from './signalWindows.js';
+import { fetchImpliedOdds, calculateEdge, contractPrice } from './polymarket.js';
+import {
+  fetchTimeframeKlines,
+  analyzeTimeframes,
+  applyTimeframeConfluence,
+  checkTimeframeVeto,
+} from './multiTimeframe.js';
+import {
+  volatilityGate,
+  liquidityGate,
+  timeGate,
+  conflictGate,
+  returnCorrelation,
+  correlationGate,
+} from './riskGates.js';
+import { applyCalibration } from './calibration.js';
+import { explainSignal } from './rationale.js';
+import { getConfig, getConfigHash, PROFILES } from './config.js';
+import { logger, withLogContext } from './logger.js';
+import { signalsGenerated } from './metrics.js';
 
-// Hold periods for each timeframe (in minutes)
-const HOLD_PERIODS = {
-  '15m': 5,    // 5 minutes
-  '1h': 15,    // 15 minutes  
-  'daily': 30, // 30 minutes
-};
+// Every profile is published for each scoring run
+export { PROFILES };
 
-// Aggressiveness thresholds (can be adjusted)
-const THRESHOLDS = {
-  conservative: { up: 70, down: 30 },
-  moderate: { up: 62, down: 38 },
-  aggressive: { up: 60, down: 40 },
-};
+let calibrationModels = null;
 
 /**
- * Calculate RSI (Relative Strength Index)
+ * Aggressiveness thresholds for a strategy (config defaults plus its overrides)
  */
-function calculateRSI(closes, period = 14) {
-  if (closes.length < period + 1) return 50;
-
-  let gains = 0;
-  let losses = 0;
-
-  for (let i = 1; i <= period; i++) {
-    const change = closes[i] - closes[i - 1];
-    if (change > 0) gains += change;
-    else losses -= change;
-  }
-
-  const avgGain = gains / period;
-  const avgLoss = losses / period;
-
-  if (avgLoss === 0) return 100;
-  const rs = avgGain / avgLoss;
-  return 100 - (100 / (1 + rs));
+export function getThresholds(strategy = getStrategy()) {
+  return { ...getConfig().scoring.thresholds, ...strategy.thresholds };
 }
 
 /**
- * Calculate MACD
+ * Look up the calibration model for a strategy and timeframe (see calibrationStore.js)
  */
-function calculateMACD(closes) {
-  const ema12 = calculateEMA(closes, 12);
-  const ema26 = calculateEMA(closes, 26);
-  const macd = ema12 - ema26;
-  const signal = calculateEMA([...Array(9).fill(macd)], 9); // Simplified
-  return { macd, signal, histogram: macd - signal };
+export function setCalibrationModels(getCalibrationModel) {
+  calibrationModels = getCalibrationModel;
 }
 
 /**
- * Calculate EMA (Exponential Moving Average)
+ * Score market data with a strategy into component scores and a 0-100 confidence
+ * (shared by live generation and the backtester)
  */
-function calculateEMA(data, period) {
-  if (data.length === 0) return 0;
-  const multiplier = 2 / (period + 1);
-  let ema = data[0];
-  for (let i = 1; i < data.length; i++) {
-    ema = (data[i] - ema) * multiplier + ema;
+export function scoreMarket(klines, orderBook, strategy = getStrategy()) {
+  const context = { klines, orderBook, closes: klines.map(k => k.close) };
+  const { scoreLimit } = getConfig().scoring;
+
+  // Calculate component scores (each clamped to ±scoreLimit, null ones left out)
+  const scores = {};
+  for (const [name, scorer] of Object.entries(strategy.scorers)) {
+    const score = scorer(context);
+    if (score !== null) scores[name] = Math.max(-scoreLimit, Math.min(scoreLimit, score));
   }
-  return ema;
+
+  // Calculate confidence (weighted average mapped to 0-100); weights of
+  // unscored components are spread over the rest
+  const weightOf = names => names.reduce((sum, name) => sum + strategy.weights[name], 0);
+  const scoredWeight = weightOf(Object.keys(scores));
+  const rawScore = scoredWeight > 0
+    ? Object.entries(scores).reduce((sum, [name, score]) => sum + score * strategy.weights[name], 0)
+      * weightOf(Object.keys(strategy.scorers)) / scoredWeight
+    : 0;
+  
+  // Map from (-scoreLimit to +scoreLimit) range to (0 to 100), plus any confluence boost
+  let confidence = 50 + (rawScore * 50 / scoreLimit);
+  confidence += strategy.confluence?.(scores) ?? 0;
+  
+  confidence = Math.max(0, Math.min(100, confidence));
+
+  return { scores, rawScore, confidence, context };
 }
 
 /**
- * Calculate momentum score from price action
+ * Map a confidence to a direction using aggressiveness thresholds
  */
-function calculateMomentumScore(klines) {
-  if (klines.length < 20) return 0;
+export function resolveDirection(confidence, aggressiveness = 'aggressive', thresholds = getConfig().scoring.thresholds) {
+  const thresh = thresholds[aggressiveness];
 
-  const closes = klines.map(k => k.close);
-  const rsi = calculateRSI(closes);
-  const { histogram } = calculateMACD(closes);
-  
-  // Recent price trend (last 5 candles)
-  const recentCloses = closes.slice(-5);
-  const trendStrength = (recentCloses[4] - recentCloses[0]) / recentCloses[0] * 100;
+  if (confidence >= thresh.up) return { direction: 'UP', tradeable: true };
+  if (confidence <= thresh.down) return { direction: 'DOWN', tradeable: true };
+  return { direction: 'FLAT', tradeable: false };
+}
 
-  // Combine indicators
-  let score = 0;
-  
-  // RSI contribution (-30 to +30)
-  if (rsi > 70) score -= (rsi - 70) * 1.5; // Overbought
-  else if (rsi < 30) score += (30 - rsi) * 1.5; // Oversold
-  else score += (rsi - 50) * 0.5; // Neutral zone
-  
-  // MACD contribution (-20 to +20)
-  score += Math.max(-20, Math.min(20, histogram * 100));
-  
-  // Trend contribution (-10 to +10)
-  score += Math.max(-10, Math.min(10, trendStrength * 2));
+/**
+ * Return correlation with each other asset that has an active call
+ * (klines for the same timeframe; null when they can't be fetched)
+ */
+async function fetchCorrelations(symbol, timeframe, klines, activeCalls) {
+  const others = [...new Set(activeCalls.map(call => call.symbol))];
 
-  return Math.max(-30, Math.min(30, score));
+  const results = await Promise.all(others.map(async (other) => {
+    try {
+      return [other, returnCorrelation(klines, await fetchKlines(other, timeframe, klines.length))];
+    } catch (error) {
+      logger.warn('Klines unavailable for correlation', { symbol: other, error });
+      return [other, null];
+    }
+  }));
+
+  return Object.fromEntries(results);
 }
 
 /**
- * Calculate order flow score from order book
+ * Fetch klines for every timeframe, the order book and Polymarket odds
  */
-function calculateOrderFlowScore(orderBook) {
-  const { imbalance, bidVolume, askVolume } = orderBook;
-  
-  // Imbalance-based score (-30 to +30)
-  // imbalance > 0.5 = more bids = bullish
-  // imbalance < 0.5 = more asks = bearish
-  const score = (imbalance - 0.5) * 60;
-  
-  return Math.max(-30, Math.min(30, score));
+async function fetchMarketData(symbol, timeframe, { store, polymarketSlugs }) {
+  // From the streaming tick store when it is live
+  const [klinesByInterval, orderBook, odds] = await Promise.all([
+    fetchTimeframeKlines(symbol, { store }),
+    fetchOrderBook(symbol),
+    fetchImpliedOdds(symbol, timeframe, { templates: polymarketSlugs }),
+  ]);
+
+  if (klinesByInterval[timeframe].length === 0) {
+    throw new Error(`No kline data available for ${symbol} ${timeframe}`);
+  }
+  return { klinesByInterval, orderBook, odds };
 }
 
 /**
- * Calculate sentiment score (simplified - could integrate news API)
+ * Score market data once for every profile: strategy scores, higher-timeframe
+ * confluence, calibration and the gates that don't depend on the call
+ * (live generation passes fetched data, the backtester its own candles)
  */
-function calculateSentimentScore(klines) {
-  // Use volume and price action as proxy for sentiment
-  if (klines.length < 10) return 0;
+export function analyzeMarket({ klinesByInterval, orderBook = null, odds = null }, timeframe, {
+  strategy = getStrategy(),
+  calibration = calibrationModels?.(strategy.id, timeframe) ?? null,
+} = {}) {
+  const klines = klinesByInterval[timeframe];
 
-  const recentKlines = klines.slice(-10);
-  
-  // Volume trend
-  const avgVolume = recentKlines.reduce((sum, k) => sum + k.volume, 0) / 10;
-  const lastVolume = recentKlines[9].volume;
-  const volumeRatio = lastVolume / avgVolume;
-  
-  // Price direction with volume
-  const priceUp = recentKlines[9].close > recentKlines[0].close;
-  
-  let score = 0;
-  if (priceUp && volumeRatio > 1.2) score = 15; // Bullish with volume
-  else if (!priceUp && volumeRatio > 1.2) score = -15; // Bearish with volume
-  else if (priceUp) score = 8;
-  else score = -8;
+  // Score the market
+  const { scores, confidence: scoredConfidence, context } = scoreMarket(klines, orderBook, strategy);
+
+  // Higher-timeframe trend confirms (or weakens) the call
+  const breakdown = analyzeTimeframes(klinesByInterval);
+  const { confidence, alignment } = applyTimeframeConfluence(scoredConfidence, timeframe, breakdown);
+
+  // Map to the hit rate past signals at this confidence achieved
+  const calibrated = applyCalibration(confidence, calibration);
 
-  return Math.max(-20, Math.min(20, score));
+  return {
+    scores,
+    rawConfidence: confidence,
+    confidence: calibrated,
+    calibrationVersion: calibration?.version ?? null,
+    context,
+    odds,
+    breakdown,
+    alignment,
+    marketGates: {
+      volatility: volatilityGate(klines),
+      liquidity: liquidityGate(orderBook),
+      conflict: conflictGate(scores),
+    },
+  };
 }
 
 /**
- * Check risk gates
+ * Build the signal row for one aggressiveness profile from a scored market
+ * activeCalls/correlations: other assets' calls and how closely they move with this one
  */
-function checkRiskGates(klines, orderBook) {
-  const closes = klines.map(k => k.close);
-  
-  // Volatility check (ATR-based)
-  const ranges = klines.slice(-14).map(k => k.high - k.low);
-  const atr = ranges.reduce((a, b) => a + b, 0) / ranges.length;
-  const atrPercent = (atr / closes[closes.length - 1]) * 100;
-  const volatilityPass = atrPercent < 5; // Less than 5% ATR
-  
-  // Liquidity check
-  const totalVolume = orderBook.bidVolume + orderBook.askVolume;
-  const liquidityPass = totalVolume > 10; // Minimum volume threshold
-  
-  // Time check (avoid generating too close to market boundaries)
-  const now = new Date();
-  const minutes = now.getMinutes();
-  const timePass = true; // Crypto trades 24/7
-  
+export function buildSignal(analysis, profile, {
+  symbol,
+  timeframe,
+  marketId,
+  strategy = getStrategy(),
+  activeCalls = [],
+  correlations = {},
+  now = new Date(),
+}) {
+  const { scores, rawConfidence, confidence: calibrated, context, odds, breakdown, alignment } = analysis;
+
+  // Determine direction based on thresholds
+  const { scoring, gates: gateSettings } = getConfig();
+  const { direction, tradeable: directional } = resolveDirection(calibrated, profile, getThresholds(strategy));
+  const confidence = directional ? calibrated : null; // No confidence shown for FLAT
+
+  // Edge over the Polymarket price (passes when there is no open contract)
+  const edge = calculateEdge(direction, confidence, odds);
+  const edgePass = edge === null || edge >= gateSettings.minEdge;
+
+  // Next timeframe up must not trend against the call
+  const mtfPass = checkTimeframeVeto(direction, timeframe, breakdown);
+
+  // Risk gates (each with the reason it passed or failed)
+  const gates = {
+    ...analysis.marketGates,
+    time: timeGate(timeframe, now),
+    correlation: correlationGate(direction, profile, activeCalls, correlations),
+    edge: {
+      pass: edgePass,
+      reason: edge === null
+        ? (odds ? 'No call to price against the market' : 'No open Polymarket contract')
+        : `Edge ${edge.toFixed(1)} points over the market price (minimum ${gateSettings.minEdge})`,
+    },
+    mtf: {
+      pass: mtfPass,
+      reason: mtfPass
+        ? 'No higher-timeframe trend against the call'
+        : `Next timeframe up trends against the ${direction} call`,
+    },
+  };
+  const tradeable = directional && Object.values(gates).every(gate => gate.pass);
+
+  // Explain the call from its ranked drivers
+  const rationale = explainSignal({ direction, timeframe, scores, weights: strategy.weights, gates });
+  const round = score => (score === undefined ? null : Math.round(score * 10) / 10);
+
+  // Calculate hold_until (higher-conviction profiles hold longer)
+  const holdMinutes = scoring.holdMinutes[timeframe] * scoring.profileHoldMultipliers[profile];
+  const holdUntil = new Date(now.getTime() + holdMinutes * 60 * 1000);
+
   return {
-    volatility_pass: volatilityPass,
-    liquidity_pass: liquidityPass,
-    conflict_pass: true, // Set by main logic
-    time_pass: timePass,
-    correlation_pass: true, // Would need multi-asset data
+    market_id: marketId || `${symbol.toLowerCase()}-usd`,
+    symbol: `${symbol}/USD`,
+    timeframe,
+    strategy_id: strategy.id,
+    profile,
+    direction,
+    confidence: confidence === null ? null : Math.round(confidence),
+    raw_confidence: Math.round(rawConfidence * 10) / 10,
+    calibrated_confidence: Math.round(calibrated * 10) / 10, // What direction was set from, kept for FLAT too
+    calibration_version: analysis.calibrationVersion,
+    config_hash: getConfigHash(),
+    tradeable,
+    entry_price: context.closes[context.closes.length - 1],
+    polymarket_slug: odds?.slug ?? null,
+    market_price: contractPrice(direction, odds),
+    edge: edge === null ? null : Math.round(edge * 10) / 10,
+    order_flow_score: round(scores.order_flow),
+    momentum_score: round(scores.momentum),
+    sentiment_score: round(scores.sentiment),
+    component_scores: Object.fromEntries(Object.entries(scores).map(([name, score]) => [name, round(score)])),
+    timeframe_breakdown: breakdown,
+    mtf_alignment: alignment,
+    ...Object.fromEntries(Object.entries(gates).map(([name, gate]) => [`${name}_pass`, gate.pass])),
+    gate_reasons: Object.fromEntries(Object.entries(gates).map(([name, gate]) => [name, gate.reason])),
+    rationale: rationale.headline,
+    rationale_factors: rationale.factors,
+    rationale_localized: rationale.localized,
+    generated_at: now.toISOString(),
+    hold_until: holdUntil.toISOString(),
+    expires_at: getSignalWindow(timeframe, now).end.toISOString(),
+    status: 'active',
   };
 }
 
 /**
- * Generate signal for a specific market and timeframe
+ * Gates a signal failed ({ gate: reason })
  */
-export async function generateSignal(symbol, timeframe, aggressiveness = 'aggressive') {
-  console.log(`\n📊 Generating ${timeframe} signal for ${symbol}...`);
-  
-  try {
-    // Fetch market data
-    const klineInterval = timeframe === 'daily' ? '1h' : timeframe;
-    const [klines, orderBook, priceData] = await Promise.all([
-      fetchKlines(symbol, klineInterval, 100),
-      fetchOrderBook(symbol, 20),
-      fetchPrice(symbol),
-    ]);
-
-    // Calculate component scores
-    const orderFlowScore = calculateOrderFlowScore(orderBook);
-    const momentumScore = calculateMomentumScore(klines);
-    const sentimentScore = calculateSentimentScore(klines);
-
-    console.log(`   Order Flow: ${orderFlowScore.toFixed(1)}`);
-    console.log(`   Momentum: ${momentumScore.toFixed(1)}`);
-    console.log(`   Sentiment: ${sentimentScore.toFixed(1)}`);
-
-    // Calculate confidence (weighted average mapped to 0-100)
-    const rawScore = 
-      orderFlowScore * 0.35 + 
-      momentumScore * 0.40 + 
-      sentimentScore * 0.25;
-    
-    // Map from (-30 to +30) range to (0 to 100)
-    let confidence = 50 + (rawScore * 1.67);
-    
-    // Confluence boost
-    const allBullish = orderFlowScore > 10 && momentumScore > 10 && sentimentScore > 5;
-    const allBearish = orderFlowScore < -10 && momentumScore < -10 && sentimentScore < -5;
-    if (allBullish || allBearish) {
-      confidence += (allBullish ? 8 : -8);
-    }
-    
-    confidence = Math.max(0, Math.min(100, confidence));
-    
-    // Determine direction based on thresholds
-    const thresh = THRESHOLDS[aggressiveness];
-    let direction;
-    let tradeable;
-    
-    if (confidence >= thresh.up) {
-      direction = 'UP';
-      tradeable = true;
-    } else if (confidence <= thresh.down) {
-      direction = 'DOWN';
-      tradeable = true;
-    } else {
-      direction = 'FLAT';
-      tradeable = false;
-      confidence = null; // No confidence shown for FLAT
-    }
+export function failedGates(signal) {
+  return Object.fromEntries(
+    Object.entries(signal.gate_reasons).filter(([name]) => !signal[`${name}_pass`])
+  );
+}
 
-    // Check risk gates
-    const riskGates = checkRiskGates(klines, orderBook);
-    riskGates.conflict_pass = tradeable;
-
-    // Generate rationale
-    const rationale = generateRationale(direction, timeframe, {
-      orderFlowScore,
-      momentumScore,
-      sentimentScore,
-      rsi: calculateRSI(klines.map(k => k.close)),
-    });
-
-    // Calculate hold_until
-    const now = new Date();
-    const holdMinutes = HOLD_PERIODS[timeframe];
-    const holdUntil = new Date(now.getTime() + holdMinutes * 60 * 1000);
-
-    console.log(`   Direction: ${direction} | Confidence: ${confidence ?? 'N/A'} | Tradeable: ${tradeable}`);
-
-    return {
-      market_id: `${symbol.toLowerCase()}-usd`,
-      symbol: `${symbol}/USD`,
-      timeframe,
-      direction,
-      confidence: tradeable ? Math.round(confidence) : null,
-      tradeable,
-      order_flow_score: Math.round(orderFlowScore * 10) / 10,
-      momentum_score: Math.round(momentumScore * 10) / 10,
-      sentiment_score: Math.round(sentimentScore * 10) / 10,
-      ...riskGates,
-      rationale,
-      generated_at: now.toISOString(),
-      hold_until: holdUntil.toISOString(),
-      expires_at: null,
-    };
-  } catch (error) {
-    console.error(`❌ Error generating signal for ${symbol}:`, error.message);
-    throw error;
-  }
+/**
+ * Log and count a generated signal
+ */
+function recordSignal(signal) {
+  const { profile, direction, confidence, edge, tradeable } = signal;
+  const blockedBy = failedGates(signal);
+
+  logger.info('Signal generated', {
+    profile,
+    direction,
+    confidence,
+    edge,
+    tradeable,
+    blocked_by: direction !== 'FLAT' && Object.keys(blockedBy).length > 0 ? blockedBy : undefined,
+  });
+  signalsGenerated.inc({ timeframe: signal.timeframe, strategy: signal.strategy_id, profile, direction, tradeable });
+  return signal;
 }
 
 /**
- * Generate human-readable rationale
+ * Score a market once and build a signal for each aggressiveness profile
+ * activeCalls: active tradeable signals ({ symbol, direction, profile }) for the
+ * same timeframe and strategy, checked by the correlation gate
  */
-function generateRationale(direction, timeframe, scores) {
-  const { orderFlowScore, momentumScore, sentimentScore, rsi } = scores;
-  
-  const rationales = {
-    '15m': {
-      UP: [
-        `Short-term bid absorption (OF: ${orderFlowScore.toFixed(0)}) + RSI ${rsi.toFixed(0)}`,
-        `15m bullish momentum building (MO: ${momentumScore.toFixed(0)})`,
-        `Scalp setup confirmed - order flow ${orderFlowScore > 0 ? 'bullish' : 'turning'}`,
-      ],
-      DOWN: [
-        `Short-term ask pressure (OF: ${orderFlowScore.toFixed(0)}) + RSI ${rsi.toFixed(0)}`,
-        `15m bearish momentum (MO: ${momentumScore.toFixed(0)})`,
-        `Scalp setup: sellers in control`,
-      ],
-      FLAT: [
-        `15m signals inconclusive - waiting`,
-        `Choppy price action (RSI: ${rsi.toFixed(0)})`,
-        `Signal conflict on short timeframe`,
-      ],
-    },
-    '1h': {
-      UP: [
-        `Hourly trend bullish + order flow ${orderFlowScore.toFixed(0)}`,
-        `Strong 1h momentum (MO: ${momentumScore.toFixed(0)}) + RSI ${rsi.toFixed(0)}`,
-        `1h close expected above open`,
-      ],
-      DOWN: [
-        `Hourly breakdown - OF: ${orderFlowScore.toFixed(0)}`,
-        `Weak 1h momentum (MO: ${momentumScore.toFixed(0)}) + RSI ${rsi.toFixed(0)}`,
-        `1h close expected below open`,
-      ],
-      FLAT: [
-        `Hourly signal inconclusive`,
-        `Mixed 1h indicators (RSI: ${rsi.toFixed(0)})`,
-        `High volatility risk - wait`,
-      ],
-    },
-    'daily': {
-      UP: [
-        `Daily trend bullish + strong momentum`,
-        `EOD close expected above open (RSI: ${rsi.toFixed(0)})`,
-        `Accumulation pattern + positive flow`,
-      ],
-      DOWN: [
-        `Daily trend bearish + weak momentum`,
-        `EOD close expected below open (RSI: ${rsi.toFixed(0)})`,
-        `Distribution pattern detected`,
-      ],
-      FLAT: [
-        `Daily direction unclear - too early`,
-        `Waiting for more data before EOD call`,
-        `Mixed daily signals - no edge`,
-      ],
-    },
-  };
+export async function generateProfileSignals(symbol, timeframe, { profiles = PROFILES, store, marketId, strategy = getStrategy(), polymarketSlugs, activeCalls = [] } = {}) {
+  // Other assets' calls, keyed by asset ('ETH/USD' rows → 'ETH')
+  const otherCalls = activeCalls
+    .map(call => ({ ...call, symbol: call.symbol.split('/')[0] }))
+    .filter(call => call.symbol !== symbol);
 
-  const options = rationales[timeframe]?.[direction] || rationales['1h'][direction];
-  return options[Math.floor(Math.random() * options.length)];
+  // Everything logged while generating (fetches included) carries the market and timeframe
+  return withLogContext({ market: marketId || symbol, timeframe, strategy: strategy.id }, async () => {
+    logger.info('Generating signals', { symbol, profiles });
+
+    try {
+      const analysis = analyzeMarket(
+        await fetchMarketData(symbol, timeframe, { store, polymarketSlugs }),
+        timeframe,
+        { strategy }
+      );
+      const { scores, breakdown, rawConfidence, confidence, calibrationVersion, context } = analysis;
+      logger.info('Market scored', {
+        scores: Object.fromEntries(Object.entries(scores).map(([name, score]) => [name, Number(score.toFixed(1))])),
+        trends: Object.fromEntries(Object.entries(breakdown).map(([tf, t]) => [tf, t.trend])),
+        raw_confidence: Number(rawConfidence.toFixed(1)),
+        confidence: Number(confidence.toFixed(1)),
+        calibration_version: calibrationVersion ?? undefined,
+      });
+
+      const correlations = await fetchCorrelations(symbol, timeframe, context.klines, otherCalls);
+      const now = new Date();
+      return profiles.map(profile => recordSignal(
+        buildSignal(analysis, profile, { symbol, timeframe, marketId, strategy, activeCalls: otherCalls, correlations, now })
+      ));
+    } catch (error) {
+      logger.error('Signal generation failed', { symbol, error });
+      throw error;
+    }
+  });
+}
+
+/**
+ * Generate signal for a specific market, timeframe and profile
+ */
+export async function generateSignal(symbol, timeframe, aggressiveness = 'aggressive', options = {}) {
+  const [signal] = await generateProfileSignals(symbol, timeframe, { ...options, profiles: [aggressiveness] });
+  return signal;
 }
 
-export default { generateSignal };
+export default {
+  generateSignal,
+  generateProfileSignals,
+  scoreMarket,
+  analyzeMarket,
+  buildSignal,
+  failedGates,
+  resolveDirection,
+  setCalibrationModels,
+  getThresholds,
+  PROFILES,
+};
@@ -0,0 +1,366 @@
+// Signal Lifecycle - active → expired / superseded / invalidated
+//
+// A signal is active until its window ends (expires_at), then expires.
+// A new call only replaces it when it flips direction with a reading at least
+// gates.hysteresisMargin calibrated confidence points past the new direction's
+// threshold, or repeats the flip on gates.flipConfirmations consecutive checks;
+// calls in the same direction refresh it. Flips held back so far are counted on
+// the active row (pending_direction, pending_confirmations), so every instance
+// reads the same count under the series lease. A sharp move against the call
+// (gates.invalidationPct, % from entry per timeframe) invalidates it early.
+// Every change is written to signal_transitions with a readable reason.
+//
+// Inserts are idempotent: each new signal carries a window_key (unique) built
+// from its market, timeframe, strategy, profile, window and the signal it
+// follows, so two instances publishing the same call store it once. A forced
+// run (generateSignals --force) gets a key of its own and is always stored.
+
+import { supabase } from './supabase.js';
+import { getSignalWindow } from './signalWindows.js';
+import { supabaseWriteFailures } from './metrics.js';
+import { getConfig } from './config.js';
+import { getThresholds } from './signalGenerator.js';
+import { getStrategy } from './strategies/index.js';
+import { logger } from './logger.js';
+
+let transitionListener = null;
+
+/**
+ * Receive transitions after they are recorded (e.g. for notifications)
+ */
+export function setTransitionListener(listener) {
+  transitionListener = listener;
+}
+
+/**
+ * Lifecycle key for a signal
+ */
+function seriesKey(signal) {
+  return `${signal.market_id}|${signal.timeframe}|${signal.strategy_id}|${signal.profile}`;
+}
+
+/**
+ * Logger tagged with a signal's series
+ */
+function seriesLogger(signal) {
+  return logger.child({
+    market: signal.market_id,
+    timeframe: signal.timeframe,
+    strategy: signal.strategy_id,
+    profile: signal.profile,
+  });
+}
+
+/**
+ * Write state transitions (logged, never fatal)
+ */
+async function recordTransitions(transitions) {
+  if (transitions.length === 0) return;
+
+  const { error } = await supabase
+    .from('signal_transitions')
+    .insert(transitions.map(t => ({ ...t, created_at: new Date().toISOString() })));
+
+  if (error) {
+    supabaseWriteFailures.inc({ table: 'signal_transitions' });
+    logger.error('Failed to record transitions', { transitions: transitions.length, error: error.message });
+  }
+
+  try {
+    await transitionListener?.(transitions);
+  } catch (listenerError) {
+    logger.error('Transition listener failed', { error: listenerError });
+  }
+}
+
+/**
+ * Transition row for a signal
+ */
+function transition(signal, fromStatus, toStatus, event, reason, extra = {}) {
+  return {
+    signal_id: signal.id,
+    market_id: signal.market_id,
+    timeframe: signal.timeframe,
+    strategy_id: signal.strategy_id,
+    profile: signal.profile,
+    from_status: fromStatus,
+    to_status: toStatus,
+    event,
+    reason,
+    ...extra,
+  };
+}
+
+/**
+ * Idempotency key for a new signal: its series, window and the signal it follows
+ * (force makes it unique to this run, so the insert never counts as a duplicate)
+ */
+export function windowKey(candidate, previous, { force = false } = {}) {
+  const { start } = getSignalWindow(candidate.timeframe, candidate.generated_at);
+  const key = `${seriesKey(candidate)}|${start.toISOString()}|${previous?.id ?? 'first'}`;
+  return force ? `${key}|forced|${candidate.generated_at}` : key;
+}
+
+/**
+ * The newest signal in a candidate's series, whatever its status (null if none)
+ * A new signal always replaces the active one, so if any is active it's this one.
+ */
+async function fetchLatestSignal(candidate) {
+  const { data, error } = await supabase
+    .from('signals')
+    .select('id, market_id, timeframe, strategy_id, profile, direction, calibrated_confidence, generated_at, status, ' +
+      'pending_direction, pending_confirmations')
+    .eq('market_id', candidate.market_id)
+    .eq('timeframe', candidate.timeframe)
+    .eq('strategy_id', candidate.strategy_id)
+    .eq('profile', candidate.profile)
+    .order('generated_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw new Error(`Failed to load latest signal: ${error.message}`);
+  return data?.[0] ?? null;
+}
+
+/**
+ * Active tradeable calls for a timeframe and strategy (for the correlation gate)
+ */
+export async function fetchActiveCalls(timeframe, strategyId) {
+  const { data, error } = await supabase
+    .from('signals')
+    .select('market_id, symbol, profile, direction')
+    .eq('timeframe', timeframe)
+    .eq('strategy_id', strategyId)
+    .eq('status', 'active')
+    .eq('tradeable', true)
+    .in('direction', ['UP', 'DOWN']);
+
+  if (error) throw new Error(`Failed to load active calls: ${error.message}`);
+  return data;
+}
+
+/**
+ * Store how many consecutive checks a held-back flip has been seen on the active signal
+ * (logged, never fatal: the next check counts from 1 again)
+ */
+async function recordPendingFlip(current, direction, confirmations) {
+  const { error } = await supabase
+    .from('signals')
+    .update({ pending_direction: direction, pending_confirmations: confirmations })
+    .eq('id', current.id)
+    .eq('status', 'active');
+
+  if (error) {
+    supabaseWriteFailures.inc({ table: 'signals' });
+    seriesLogger(current).error('Failed to record pending flip', { signal_id: current.id, error: error.message });
+  }
+}
+
+/**
+ * How far a reading is past the threshold of the direction it calls, in
+ * calibrated confidence points (for FLAT, how far inside the band it sits)
+ */
+function marginPast(direction, confidence, { up, down }) {
+  if (direction === 'UP') return confidence - up;
+  if (direction === 'DOWN') return down - confidence;
+  return Math.min(up - confidence, confidence - down);
+}
+
+/**
+ * Decide what a new call does to the active signal
+ * thresholds: the profile's { up, down } on the calibrated scale direction is set from
+ * Returns { action: 'create' | 'supersede' | 'keep', event, reason }
+ */
+export function decideTransition(current, candidate, confirmations = 0, thresholds) {
+  if (!current) return { action: 'create', event: 'created', reason: 'New signal' };
+
+  const { hysteresisMargin, flipConfirmations } = getConfig().gates;
+
+  const from = current.calibrated_confidence;
+  const to = candidate.calibrated_confidence;
+  const move = `confidence ${from ?? 'N/A'} → ${to}`;
+
+  if (candidate.direction === current.direction) {
+    return { action: 'supersede', event: 'refreshed', reason: `Refreshed: ${candidate.direction} reaffirmed (${move})` };
+  }
+
+  const flip = `${current.direction} → ${candidate.direction}`;
+  const past = marginPast(candidate.direction, to, thresholds);
+  const threshold = candidate.direction === 'FLAT'
+    ? `inside the ${thresholds.down}-${thresholds.up} FLAT band`
+    : `past the ${candidate.direction} threshold of ${candidate.direction === 'UP' ? thresholds.up : thresholds.down}`;
+  if (past >= hysteresisMargin) {
+    return {
+      action: 'supersede',
+      event: 'flipped',
+      reason: `Flipped ${flip}: ${move}, ${Number(past.toFixed(1))} points ${threshold} (margin ${hysteresisMargin})`,
+    };
+  }
+  if (confirmations >= flipConfirmations) {
+    return {
+      action: 'supersede',
+      event: 'flipped',
+      reason: `Flipped ${flip} after ${confirmations} consecutive confirmations`,
+    };
+  }
+  return {
+    action: 'keep',
+    event: null,
+    reason: `${current.direction} held: ${candidate.direction} seen ${confirmations}/${flipConfirmations} times, ` +
+      `${move} is ${Number(past.toFixed(1))} points ${threshold}, under the ${hysteresisMargin}-point margin`,
+  };
+}
+
+/**
+ * Store new calls that pass the lifecycle rules and retire the signals they replace
+ * manual skips hysteresis (regeneration through the API); force skips the
+ * window_key duplicate check. Returns the inserted rows.
+ */
+export async function commitSignals(candidates, { manual = false, force = false } = {}) {
+  const accepted = [];
+
+  for (const candidate of candidates) {
+    const latest = await fetchLatestSignal(candidate);
+    const current = latest?.status === 'active' ? latest : null;
+
+    // Count consecutive checks that disagree with the active call
+    let confirmations = 0;
+    if (current && current.direction !== candidate.direction) {
+      confirmations = current.pending_direction === candidate.direction ? current.pending_confirmations + 1 : 1;
+    }
+
+    const thresholds = getThresholds(getStrategy(candidate.strategy_id))[candidate.profile];
+    const decision = manual && current
+      ? { action: 'supersede', event: 'manual', reason: 'Manual regeneration' }
+      : decideTransition(current, candidate, confirmations, thresholds);
+
+    if (decision.action === 'keep') {
+      seriesLogger(candidate).info('Active signal kept', { reason: decision.reason });
+      await recordPendingFlip(current, candidate.direction, confirmations);
+      continue;
+    }
+
+    accepted.push({ candidate: { ...candidate, window_key: windowKey(candidate, latest, { force }) }, current, decision });
+  }
+
+  if (accepted.length === 0) return [];
+
+  // Rows another instance already stored under the same window_key are skipped
+  const { data, error } = await supabase
+    .from('signals')
+    .upsert(accepted.map(a => a.candidate), { onConflict: 'window_key', ignoreDuplicates: true })
+    .select();
+
+  if (error) {
+    supabaseWriteFailures.inc({ table: 'signals' });
+    throw new Error(error.message);
+  }
+
+  const inserted = new Map(data.map(row => [row.window_key, row]));
+  const transitions = [];
+  for (const { candidate, current, decision } of accepted) {
+    const signal = inserted.get(candidate.window_key);
+    if (!signal) {
+      seriesLogger(candidate).info('Signal already published by another instance', { window_key: candidate.window_key });
+      continue;
+    }
+
+    if (current) {
+      const { error: updateError } = await supabase
+        .from('signals')
+        .update({ status: 'superseded', superseded_by: signal.id })
+        .eq('id', current.id)
+        .eq('status', 'active');
+
+      if (updateError) {
+        supabaseWriteFailures.inc({ table: 'signals' });
+        seriesLogger(current).error('Failed to supersede signal', { signal_id: current.id, error: updateError.message });
+      }
+      transitions.push(transition(current, 'active', 'superseded', decision.event, decision.reason, {
+        replaced_by: signal.id,
+      }));
+    }
+    transitions.push(transition(signal, null, 'active', decision.event, decision.reason));
+  }
+
+  await recordTransitions(transitions);
+  return data;
+}
+
+/**
+ * Expire active signals whose window has ended
+ */
+export async function expireSignals() {
+  const { data, error } = await supabase
+    .from('signals')
+    .update({ status: 'expired' })
+    .eq('status', 'active')
+    .lte('expires_at', new Date().toISOString())
+    .select('id, market_id, timeframe, strategy_id, profile');
+
+  if (error) {
+    supabaseWriteFailures.inc({ table: 'signals' });
+    throw new Error(`Failed to expire signals: ${error.message}`);
+  }
+
+  await recordTransitions(data.map(signal => transition(signal, 'active', 'expired', 'expired', 'Window ended')));
+  return data;
+}
+
+/**
+ * Invalidate active calls the price has moved sharply against
+ * getPrice(symbol) returns the latest price or undefined.
+ */
+export async function invalidateSignals(getPrice) {
+  const { data: signals, error } = await supabase
+    .from('signals')
+    .select('id, market_id, symbol, timeframe, strategy_id, profile, direction, entry_price')
+    .eq('status', 'active')
+    .in('direction', ['UP', 'DOWN'])
+    .not('entry_price', 'is', null);
+
+  if (error) throw new Error(`Failed to load active signals: ${error.message}`);
+
+  const { invalidationPct } = getConfig().gates;
+  const invalidated = [];
+  for (const signal of signals) {
+    const price = getPrice(signal.symbol.split('/')[0]);
+    const limit = invalidationPct[signal.timeframe];
+    if (!price || !limit) continue;
+
+    const move = ((price - signal.entry_price) / signal.entry_price) * 100;
+    const adverse = signal.direction === 'UP' ? -move : move;
+    if (adverse < limit) continue;
+
+    const { data: updated, error: updateError } = await supabase
+      .from('signals')
+      .update({ status: 'invalidated' })
+      .eq('id', signal.id)
+      .eq('status', 'active')
+      .select('id');
+
+    if (updateError) {
+      supabaseWriteFailures.inc({ table: 'signals' });
+      seriesLogger(signal).error('Failed to invalidate signal', { signal_id: signal.id, error: updateError.message });
+      continue;
+    }
+    if (updated.length === 0) continue; // Already expired or replaced
+
+    const reason = `Price moved ${adverse.toFixed(2)}% against the ${signal.direction} call ` +
+      `(${signal.entry_price} → ${price}, limit ${limit}%)`;
+    seriesLogger(signal).warn('Signal invalidated', { signal_id: signal.id, reason });
+    invalidated.push(transition(signal, 'active', 'invalidated', 'invalidated', reason, { price }));
+  }
+
+  await recordTransitions(invalidated);
+  return invalidated;
+}
+
+export default {
+  windowKey,
+  decideTransition,
+  fetchActiveCalls,
+  commitSignals,
+  expireSignals,
+  invalidateSignals,
+  setTransitionListener,
+};
@@ -0,0 +1,26 @@
+// Signal Windows - The 15m/1h/daily candle a signal predicts
+// Windows are aligned to UTC boundaries, matching exchange klines
+
+export const TIMEFRAME_MINUTES = {
+  '15m': 15,
+  '1h': 60,
+  'daily': 1440,
+};
+
+/**
+ * Get the window (start/end) containing a date for a timeframe
+ */
+export function getSignalWindow(timeframe, date = new Date()) {
+  const minutes = TIMEFRAME_MINUTES[timeframe];
+  if (!minutes) throw new Error(`Unknown timeframe: ${timeframe}`);
+
+  const size = minutes * 60 * 1000;
+  const start = Math.floor(new Date(date).getTime() / size) * size;
+
+  return {
+    start: new Date(start),
+    end: new Date(start + size),
+  };
+}
+
+export default { TIMEFRAME_MINUTES, getSignalWindow };
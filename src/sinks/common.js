@@ -0,0 +1,30 @@
+// Sink Helpers - Row shapes and driver loading shared by the sinks
+
+/**
+ * Price snapshot columns for a market (same as the markets table)
+ */
+export function priceRow(marketId, priceData, now = new Date()) {
+  return {
+    id: marketId,
+    current_price: priceData.price,
+    open_price: priceData.open,
+    high_24h: priceData.high,
+    low_24h: priceData.low,
+    volume_24h: priceData.volume,
+    price_updated_at: now.toISOString(),
+  };
+}
+
+/**
+ * Import an optional driver package, explaining how to install it if missing
+ */
+export async function importDriver(packageName, sinkName) {
+  try {
+    return (await import(packageName)).default;
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+    throw new Error(`The ${sinkName} sink needs the ${packageName} package: npm install ${packageName}`);
+  }
+}
+
+export default { priceRow, importDriver };
@@ -0,0 +1,57 @@
+// Sinks - Where the signal generator stores what it produces
+//   supabase          Production store with the lifecycle rules and notifications (default)
+//   postgres[:<url>]  A Postgres database with the same tables (DATABASE_URL by default)
+//   sqlite[:<file>]   A local SQLite file (signals.db by default)
+//   stdout            JSON lines on stdout, nothing stored
+//
+// A sink is an object with:
+//   load()                                         Read state kept with the sink (markets, calibration)
+//   expire()                                       Retire active signals whose window has ended
+//   heldProfiles(marketId, timeframe, strategyId)  Profiles whose signal is still in its hold period
+//   activeCalls(timeframe, strategyId)             Active tradeable calls (for the correlation gate)
+//   writePrice(marketId, priceData)                Store a price snapshot
+//   writeSignals(signals, { force })               Store new signals, returns the stored rows
+//   close()
+// and writesStdout when it prints its output. Only the Supabase sink needs
+// Supabase credentials; the postgres and sqlite drivers are loaded when chosen.
+
+import { createStdoutSink } from './stdout.js';
+
+const SINKS = {
+  supabase: async () => (await import('./supabase.js')).createSupabaseSink(),
+  postgres: async target => (await import('./postgres.js')).createPostgresSink(target),
+  sqlite: async target => (await import('./sqlite.js')).createSqliteSink(target),
+  stdout: async () => createStdoutSink(),
+};
+
+export const SINK_NAMES = Object.keys(SINKS);
+
+/**
+ * Create a sink from a spec like 'sqlite:out/signals.db'
+ */
+export async function createSink(spec = 'supabase') {
+  const separator = spec.indexOf(':');
+  const name = separator === -1 ? spec : spec.slice(0, separator);
+  const target = separator === -1 ? undefined : spec.slice(separator + 1);
+
+  if (!SINKS[name]) throw new Error(`Unknown sink: ${name} (expected ${SINK_NAMES.join(', ')})`);
+  return SINKS[name](target || undefined);
+}
+
+/**
+ * Wrap a sink so nothing is written
+ * Reads still come from the sink; prices and signals are printed as JSON lines.
+ */
+export function dryRun(sink) {
+  const printer = createStdoutSink();
+  return {
+    ...sink,
+    name: `${sink.name} (dry run)`,
+    writesStdout: true,
+    expire: async () => [],
+    writePrice: printer.writePrice,
+    writeSignals: printer.writeSignals,
+  };
+}
+
+export default { SINK_NAMES, createSink, dryRun };
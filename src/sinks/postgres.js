@@ -0,0 +1,125 @@
+// Postgres Sink - Signals written straight to a Postgres database
+// Uses the same signals and markets tables as Supabase (Supabase is Postgres),
+// so it can point at a local copy of the schema. A new signal supersedes the
+// active one in its series; hysteresis, transition history and notifications
+// stay with the Supabase sink. Inserts are idempotent on window_key like the
+// Supabase sink's: a call already stored for the window is skipped unless
+// forced. Needs the optional pg package.
+//
+// DATABASE_URL  Connection string (or --sink postgres:<url>)
+
+import { importDriver, priceRow } from './common.js';
+import { windowKey } from '../signalLifecycle.js';
+
+const SERIES = ['market_id', 'timeframe', 'strategy_id', 'profile'];
+
+/**
+ * Column value for a query parameter (objects and arrays are stored as JSON)
+ */
+function toParam(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+/**
+ * Create a Postgres sink
+ */
+export async function createPostgresSink(connectionString = process.env.DATABASE_URL) {
+  if (!connectionString) throw new Error('The postgres sink needs DATABASE_URL (or --sink postgres:<url>)');
+
+  const pg = await importDriver('pg', 'postgres');
+  const pool = new pg.Pool({ connectionString });
+
+  /**
+   * Insert one signal and supersede the active one in its series
+   * (null when its window_key is already stored)
+   */
+  async function insertSignal(client, signal, { force }) {
+    const { rows: [previous] } = await client.query(
+      `select id from signals
+       where ${SERIES.map((c, i) => `${c} = $${i + 1}`).join(' and ')}
+       order by generated_at desc limit 1`,
+      SERIES.map(c => signal[c])
+    );
+
+    const fields = { ...signal, window_key: windowKey(signal, previous, { force }) };
+    const columns = Object.keys(fields);
+    const { rows: [row] } = await client.query(
+      `insert into signals (${columns.map(c => `"${c}"`).join(', ')})
+       values (${columns.map((c, i) => `$${i + 1}`).join(', ')})
+       on conflict (window_key) do nothing
+       returning *`,
+      columns.map(c => toParam(fields[c]))
+    );
+    if (!row) return null;
+
+    await client.query(
+      `update signals set status = 'superseded', superseded_by = $1
+       where ${SERIES.map((c, i) => `${c} = $${i + 2}`).join(' and ')}
+         and status = 'active' and id <> $1`,
+      [row.id, ...SERIES.map(c => signal[c])]
+    );
+    return row;
+  }
+
+  return {
+    name: 'postgres',
+    async load() {},
+    async expire() {
+      const { rows } = await pool.query(
+        `update signals set status = 'expired'
+         where status = 'active' and expires_at <= now()
+         returning id`
+      );
+      return rows;
+    },
+    async heldProfiles(marketId, timeframe, strategyId) {
+      const { rows } = await pool.query(
+        `select profile from signals
+         where market_id = $1 and timeframe = $2 and strategy_id = $3
+           and status = 'active' and hold_until > now()`,
+        [marketId, timeframe, strategyId]
+      );
+      return rows.map(row => row.profile);
+    },
+    async activeCalls(timeframe, strategyId) {
+      const { rows } = await pool.query(
+        `select market_id, symbol, profile, direction from signals
+         where timeframe = $1 and strategy_id = $2 and status = 'active'
+           and tradeable and direction in ('UP', 'DOWN')`,
+        [timeframe, strategyId]
+      );
+      return rows;
+    },
+    async writePrice(marketId, priceData) {
+      const { id, ...fields } = priceRow(marketId, priceData);
+      const columns = Object.keys(fields);
+      await pool.query(
+        `update markets set ${columns.map((c, i) => `${c} = $${i + 2}`).join(', ')} where id = $1`,
+        [id, ...columns.map(c => fields[c])]
+      );
+    },
+    async writeSignals(signals, { force = false } = {}) {
+      const client = await pool.connect();
+      try {
+        await client.query('begin');
+        const rows = [];
+        for (const signal of signals) {
+          const row = await insertSignal(client, signal, { force });
+          if (row) rows.push(row);
+        }
+        await client.query('commit');
+        return rows;
+      } catch (error) {
+        await client.query('rollback');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+    async close() {
+      await pool.end();
+    },
+  };
+}
+
+export default { createPostgresSink };
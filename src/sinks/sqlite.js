@@ -0,0 +1,136 @@
+// SQLite Sink - Signals in a local SQLite file
+// The file and tables are created on first use. Each signal row keeps the
+// columns used for lookups plus the full signal as JSON (`data`). A new signal
+// supersedes the active one in its series, so hold periods and the
+// correlation gate work across runs. Needs the optional better-sqlite3 package.
+//
+// --sink sqlite:<file>  Database file (default signals.db)
+
+import { importDriver, priceRow } from './common.js';
+
+const DEFAULT_FILE = 'signals.db';
+
+const SCHEMA = `
+  create table if not exists signals (
+    id integer primary key autoincrement,
+    market_id text not null,
+    symbol text,
+    timeframe text not null,
+    strategy_id text not null,
+    profile text not null,
+    direction text not null,
+    confidence real,
+    tradeable integer not null,
+    status text not null,
+    generated_at text not null,
+    hold_until text,
+    expires_at text,
+    superseded_by integer,
+    config_hash text,
+    data text not null
+  );
+  create index if not exists signals_series
+    on signals (market_id, timeframe, strategy_id, profile, status);
+  create table if not exists markets (
+    id text primary key,
+    current_price real,
+    open_price real,
+    high_24h real,
+    low_24h real,
+    volume_24h real,
+    price_updated_at text
+  );
+`;
+
+/**
+ * Create a SQLite sink
+ */
+export async function createSqliteSink(file = DEFAULT_FILE) {
+  const Database = await importDriver('better-sqlite3', 'sqlite');
+  const db = new Database(file);
+  db.exec(SCHEMA);
+
+  const now = () => new Date().toISOString(); // ISO strings compare in time order
+
+  const insert = db.prepare(`
+    insert into signals (market_id, symbol, timeframe, strategy_id, profile, direction, confidence,
+      tradeable, status, generated_at, hold_until, expires_at, config_hash, data)
+    values (@market_id, @symbol, @timeframe, @strategy_id, @profile, @direction, @confidence,
+      @tradeable, @status, @generated_at, @hold_until, @expires_at, @config_hash, @data)
+  `);
+  const supersede = db.prepare(`
+    update signals set status = 'superseded', superseded_by = @id
+    where market_id = @market_id and timeframe = @timeframe and strategy_id = @strategy_id
+      and profile = @profile and status = 'active' and id <> @id
+  `);
+
+  const writeAll = db.transaction((signals) => signals.map((signal) => {
+    const { lastInsertRowid } = insert.run({
+      market_id: signal.market_id,
+      symbol: signal.symbol ?? null,
+      timeframe: signal.timeframe,
+      strategy_id: signal.strategy_id,
+      profile: signal.profile,
+      direction: signal.direction,
+      confidence: signal.confidence ?? null,
+      tradeable: signal.tradeable ? 1 : 0,
+      status: signal.status,
+      generated_at: signal.generated_at,
+      hold_until: signal.hold_until ?? null,
+      expires_at: signal.expires_at ?? null,
+      config_hash: signal.config_hash ?? null,
+      data: JSON.stringify(signal),
+    });
+    const id = Number(lastInsertRowid);
+    const { market_id, timeframe, strategy_id, profile } = signal;
+    supersede.run({ id, market_id, timeframe, strategy_id, profile });
+    return { id, ...signal };
+  }));
+
+  return {
+    name: 'sqlite',
+    async load() {},
+    async expire() {
+      return db.prepare(`
+        update signals set status = 'expired'
+        where status = 'active' and expires_at <= ?
+        returning id
+      `).all(now());
+    },
+    async heldProfiles(marketId, timeframe, strategyId) {
+      return db.prepare(`
+        select profile from signals
+        where market_id = ? and timeframe = ? and strategy_id = ?
+          and status = 'active' and hold_until > ?
+      `).all(marketId, timeframe, strategyId, now()).map(row => row.profile);
+    },
+    async activeCalls(timeframe, strategyId) {
+      return db.prepare(`
+        select market_id, symbol, profile, direction from signals
+        where timeframe = ? and strategy_id = ? and status = 'active'
+          and tradeable = 1 and direction in ('UP', 'DOWN')
+      `).all(timeframe, strategyId);
+    },
+    async writePrice(marketId, priceData) {
+      db.prepare(`
+        insert into markets (id, current_price, open_price, high_24h, low_24h, volume_24h, price_updated_at)
+        values (@id, @current_price, @open_price, @high_24h, @low_24h, @volume_24h, @price_updated_at)
+        on conflict (id) do update set
+          current_price = excluded.current_price,
+          open_price = excluded.open_price,
+          high_24h = excluded.high_24h,
+          low_24h = excluded.low_24h,
+          volume_24h = excluded.volume_24h,
+          price_updated_at = excluded.price_updated_at
+      `).run(priceRow(marketId, priceData));
+    },
+    async writeSignals(signals) {
+      return writeAll(signals);
+    },
+    async close() {
+      db.close();
+    },
+  };
+}
+
+export default { createSqliteSink };
@@ -0,0 +1,37 @@
+// Stdout Sink - Prices and signals as JSON lines on stdout
+// One object per line: { "type": "price", ... } or { "type": "signal", ... }.
+// Nothing is stored, so every run starts with no held signals or active calls.
+
+import { priceRow } from './common.js';
+
+/**
+ * Create a sink that prints instead of storing
+ */
+export function createStdoutSink(stream = process.stdout) {
+  const emit = (type, row) => stream.write(`${JSON.stringify({ type, ...row })}\n`);
+
+  return {
+    name: 'stdout',
+    writesStdout: true,
+    async load() {},
+    async expire() {
+      return [];
+    },
+    async heldProfiles() {
+      return [];
+    },
+    async activeCalls() {
+      return [];
+    },
+    async writePrice(marketId, priceData) {
+      emit('price', priceRow(marketId, priceData));
+    },
+    async writeSignals(signals) {
+      for (const signal of signals) emit('signal', signal);
+      return signals;
+    },
+    async close() {},
+  };
+}
+
+export default { createStdoutSink };
@@ -0,0 +1,66 @@
+// Supabase Sink - The production store
+// Signals go through the lifecycle rules (hysteresis, supersede, transitions)
+// and subscribers are notified; markets and calibration models are read from
+// the same project.
+
+import { supabase, supabaseConfigured } from '../supabase.js';
+import { loadMarkets } from '../marketRegistry.js';
+import { loadCalibrationModels } from '../calibrationStore.js';
+import { fetchActiveCalls, commitSignals, expireSignals, setTransitionListener } from '../signalLifecycle.js';
+import { notifySignals, notifyTransitions } from '../notifications.js';
+import { supabaseWriteFailures } from '../metrics.js';
+import { priceRow } from './common.js';
+
+/**
+ * Create the Supabase sink (throws without credentials)
+ */
+export function createSupabaseSink() {
+  if (!supabaseConfigured) throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY');
+
+  // Push invalidated/withdrawn calls to subscribers
+  setTransitionListener(notifyTransitions);
+
+  return {
+    name: 'supabase',
+    async load() {
+      await loadMarkets();
+      await loadCalibrationModels();
+    },
+    expire: expireSignals,
+    async heldProfiles(marketId, timeframe, strategyId) {
+      const { data: held } = await supabase
+        .from('signals')
+        .select('profile')
+        .eq('market_id', marketId)
+        .eq('timeframe', timeframe)
+        .eq('strategy_id', strategyId)
+        .eq('status', 'active')
+        .gt('hold_until', new Date().toISOString());
+
+      return (held || []).map(s => s.profile);
+    },
+    activeCalls: fetchActiveCalls,
+    async writePrice(marketId, priceData) {
+      const { id, ...fields } = priceRow(marketId, priceData);
+      const { error } = await supabase
+        .from('markets')
+        .update(fields)
+        .eq('id', id);
+
+      if (error) {
+        supabaseWriteFailures.inc({ table: 'markets' });
+        throw new Error(error.message);
+      }
+    },
+    async writeSignals(signals, { force = false } = {}) {
+      // Calls inside the hysteresis margin keep the active signal, forced or not;
+      // force only stores a call another instance already published this window
+      const data = await commitSignals(signals, { force });
+      await notifySignals(data);
+      return data;
+    },
+    async close() {},
+  };
+}
+
+export default { createSupabaseSink };
@@ -0,0 +1,98 @@
+// Agent Alpha - Order flow + momentum + volume sentiment
+// The original strategy: weighted blend with a confluence boost when all agree
+
+import { rsi as calculateRSI, macd as calculateMACD } from '../indicators.js';
+
+/**
+ * Calculate momentum score from price action
+ */
+function calculateMomentumScore({ klines }) {
+  if (klines.length < 20) return 0;
+
+  const closes = klines.map(k => k.close);
+  const rsi = calculateRSI(closes) ?? 50;
+  const histogram = calculateMACD(closes)?.histogram ?? 0;
+  const lastClose = closes[closes.length - 1];
+  
+  // Recent price trend (last 5 candles)
+  const recentCloses = closes.slice(-5);
+  const trendStrength = (recentCloses[4] - recentCloses[0]) / recentCloses[0] * 100;
+
+  // Combine indicators
+  let score = 0;
+  
+  // RSI contribution (-30 to +30)
+  if (rsi > 70) score -= (rsi - 70) * 1.5; // Overbought
+  else if (rsi < 30) score += (30 - rsi) * 1.5; // Oversold
+  else score += (rsi - 50) * 0.5; // Neutral zone
+  
+  // MACD contribution (-20 to +20), histogram in basis points of price
+  score += Math.max(-20, Math.min(20, (histogram / lastClose) * 10000));
+  
+  // Trend contribution (-10 to +10)
+  score += Math.max(-10, Math.min(10, trendStrength * 2));
+
+  return score; // Clamped to ±scoreLimit by scoreMarket
+}
+
+/**
+ * Calculate order flow score from order book (unscored without one)
+ */
+function calculateOrderFlowScore({ orderBook }) {
+  if (!orderBook) return null;
+  const { imbalance } = orderBook;
+  
+  // Imbalance-based score (-30 to +30)
+  // imbalance > 0.5 = more bids = bullish
+  // imbalance < 0.5 = more asks = bearish
+  return (imbalance - 0.5) * 60;
+}
+
+/**
+ * Calculate sentiment score (simplified - could integrate news API)
+ */
+function calculateSentimentScore({ klines }) {
+  // Use volume and price action as proxy for sentiment
+  if (klines.length < 10) return 0;
+
+  const recentKlines = klines.slice(-10);
+  
+  // Volume trend
+  const avgVolume = recentKlines.reduce((sum, k) => sum + k.volume, 0) / 10;
+  const lastVolume = recentKlines[9].volume;
+  const volumeRatio = lastVolume / avgVolume;
+  
+  // Price direction with volume
+  const priceUp = recentKlines[9].close > recentKlines[0].close;
+  
+  let score = 0;
+  if (priceUp && volumeRatio > 1.2) score = 15; // Bullish with volume
+  else if (!priceUp && volumeRatio > 1.2) score = -15; // Bearish with volume
+  else if (priceUp) score = 8;
+  else score = -8;
+
+  return Math.max(-20, Math.min(20, score));
+}
+
+/**
+ * Confluence boost when every component points the same way
+ */
+function confluence({ order_flow: orderFlowScore, momentum: momentumScore, sentiment: sentimentScore }) {
+  const allBullish = orderFlowScore > 10 && momentumScore > 10 && sentimentScore > 5;
+  const allBearish = orderFlowScore < -10 && momentumScore < -10 && sentimentScore < -5;
+  if (allBullish) return 8;
+  if (allBearish) return -8;
+  return 0;
+}
+
+export default {
+  id: 'agent-alpha',
+  name: 'Agent Alpha',
+  description: 'Order book imbalance, RSI/MACD momentum and volume-backed price action',
+  scorers: {
+    order_flow: calculateOrderFlowScore,
+    momentum: calculateMomentumScore,
+    sentiment: calculateSentimentScore,
+  },
+  confluence,
+};
@@ -0,0 +1,57 @@
+// Breakout - Follows price out of its range when trend and volume confirm
+// Bollinger %B, ADX directional strength and volume surge
+
+import { bollingerBands, adx as calculateADX } from '../indicators.js';
+
+/**
+ * Range score: closing beyond a band is a breakout in that direction
+ */
+function calculateRangeScore({ closes }) {
+  const bands = bollingerBands(closes, 20, 2);
+  if (!bands) return 0;
+  return (bands.percentB - 0.5) * 40;
+}
+
+/**
+ * Trend score: +DI vs -DI, only once ADX shows a trend
+ */
+function calculateTrendScore({ klines }) {
+  const trend = calculateADX(klines, 14);
+  if (!trend || trend.adx < 20) return 0;
+  return (trend.plusDI - trend.minusDI) * (trend.adx / 25);
+}
+
+/**
+ * Volume score: a surge on the last candle confirms its direction
+ */
+function calculateVolumeScore({ klines }) {
+  if (klines.length < 21) return 0;
+
+  const recent = klines.slice(-21, -1);
+  const avgVolume = recent.reduce((sum, k) => sum + k.volume, 0) / recent.length;
+  const last = klines[klines.length - 1];
+  if (avgVolume === 0 || last.volume < avgVolume * 1.5) return 0;
+
+  return last.close >= last.open ? 15 : -15;
+}
+
+/**
+ * Boost when range break, trend and volume line up
+ */
+function confluence({ range, trend, volume }) {
+  if (range > 10 && trend > 10 && volume > 0) return 8;
+  if (range < -10 && trend < -10 && volume < 0) return -8;
+  return 0;
+}
+
+export default {
+  id: 'breakout',
+  name: 'Breakout',
+  description: 'Trades closes beyond the Bollinger Bands confirmed by ADX trend and volume',
+  scorers: {
+    range: calculateRangeScore,
+    trend: calculateTrendScore,
+    volume: calculateVolumeScore,
+  },
+  confluence,
+};
@@ -0,0 +1,101 @@
+// Strategy Registry - Signal agents that run side by side
+//
+// A strategy is:
+//   id          Stored on each signal as strategy_id
+//   name, description
+//   scorers     { name: (context) => score } with context { klines, orderBook, closes };
+//               scores are clamped to ±scoring.scoreLimit (30: bearish to bullish).
+//               A scorer returns null when it has no data (orderBook is null when
+//               no exchange returned depth); the other weights are scaled up to cover it
+//   confluence  Optional (scores) => confidence boost
+//
+// Its weights ({ name: weight } blended into the raw score) and optional
+// per-profile { up, down } threshold overrides live in the config under
+// scoring.strategies.<id>, so they can be tuned without a deploy; strategies
+// returned here carry the current values as `weights` and `thresholds`.
+//
+// Rationale text comes from the ranked scores (see rationale.js); label new
+// component names there so they read well in every language.
+//
+// STRATEGIES=agent-alpha,breakout limits which strategies run (default: all)
+
+import agentAlpha from './agentAlpha.js';
+import meanReversion from './meanReversion.js';
+import breakout from './breakout.js';
+import { getConfig, addConfigCheck } from '../config.js';
+
+export const DEFAULT_STRATEGY_ID = agentAlpha.id;
+
+const strategies = new Map();
+
+/**
+ * Register a strategy (replaces one with the same id)
+ */
+export function registerStrategy(strategy) {
+  for (const key of ['id', 'name', 'scorers']) {
+    if (!strategy[key]) throw new Error(`Strategy is missing "${key}"`);
+  }
+  strategies.set(strategy.id, strategy);
+}
+
+/**
+ * Config problems with a registered strategy's weights
+ */
+function checkWeights(config) {
+  const problems = [];
+  for (const strategy of strategies.values()) {
+    const path = `scoring.strategies.${strategy.id}.weights`;
+    const weights = config.scoring.strategies[strategy.id]?.weights ?? {};
+    const scorers = Object.keys(strategy.scorers);
+
+    const missing = scorers.filter(name => weights[name] === undefined);
+    const unknown = Object.keys(weights).filter(name => !scorers.includes(name));
+    if (missing.length > 0) problems.push(`${path}: no weight for ${missing.join(', ')}`);
+    if (unknown.length > 0) problems.push(`${path}: ${unknown.join(', ')} not scored by ${strategy.id}`);
+  }
+  return problems;
+}
+
+/**
+ * A strategy with its configured weights and thresholds
+ */
+function withSettings(strategy) {
+  const { weights, thresholds = {} } = getConfig().scoring.strategies[strategy.id];
+  return { ...strategy, weights, thresholds };
+}
+
+/**
+ * Look up a strategy by id
+ */
+export function getStrategy(id = DEFAULT_STRATEGY_ID) {
+  const strategy = strategies.get(id);
+  if (!strategy) throw new Error(`Unknown strategy: ${id}`);
+  return withSettings(strategy);
+}
+
+/**
+ * All registered strategies
+ */
+export function getStrategies() {
+  return [...strategies.values()].map(withSettings);
+}
+
+/**
+ * Strategies enabled via STRATEGIES (all when unset)
+ */
+export function getEnabledStrategies() {
+  const ids = (process.env.STRATEGIES || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  return ids.length > 0 ? ids.map(getStrategy) : getStrategies();
+}
+
+for (const strategy of [agentAlpha, meanReversion, breakout]) {
+  registerStrategy(strategy);
+}
+
+addConfigCheck(checkWeights);
+
+export default { registerStrategy, getStrategy, getStrategies, getEnabledStrategies, DEFAULT_STRATEGY_ID };
@@ -0,0 +1,55 @@
+// Mean Reversion - Fades stretched moves back toward the mean
+// Bollinger %B, RSI extremes and distance from VWAP, all read contrarian
+
+import { rsi as calculateRSI, bollingerBands, vwap as calculateVWAP } from '../indicators.js';
+
+const clamp = (value, limit) => Math.max(-limit, Math.min(limit, value));
+
+/**
+ * Band score: above the upper band is bearish, below the lower band bullish
+ */
+function calculateBandScore({ closes }) {
+  const bands = bollingerBands(closes, 20, 2);
+  if (!bands) return 0;
+  return (0.5 - bands.percentB) * 40;
+}
+
+/**
+ * RSI score: overbought is bearish, oversold bullish
+ */
+function calculateRSIScore({ closes }) {
+  const rsi = calculateRSI(closes);
+  if (rsi === null) return 0;
+  return (50 - rsi) * 1.2;
+}
+
+/**
+ * VWAP score: price stretched above VWAP is bearish, below bullish
+ */
+function calculateVWAPScore({ klines, closes }) {
+  const vwap = calculateVWAP(klines.slice(-20));
+  if (!vwap) return 0;
+  const deviationPct = ((closes[closes.length - 1] - vwap) / vwap) * 100;
+  return clamp(-deviationPct * 10, 20);
+}
+
+/**
+ * Extra conviction when price is stretched on every measure
+ */
+function confluence({ band, rsi, vwap }) {
+  if (band > 15 && rsi > 10 && vwap > 5) return 6;
+  if (band < -15 && rsi < -10 && vwap < -5) return -6;
+  return 0;
+}
+
+export default {
+  id: 'mean-reversion',
+  name: 'Mean Reversion',
+  description: 'Fades moves stretched beyond the Bollinger Bands, RSI extremes and VWAP',
+  scorers: {
+    band: calculateBandScore,
+    rsi: calculateRSIScore,
+    vwap: calculateVWAPScore,
+  },
+  confluence,
+};
@@ -1,7 +1,10 @@
 // Supabase Admin Client
 // Uses service_role key for full database access (backend only!)
+// The client is created on first use, so scripts that never touch Supabase
+// (e.g. the generator with another sink) run without credentials.
 
 import { createClient } from '@supabase/supabase-js';
+import WebSocket from 'ws';
 
 // Works with both Railway (process.env) and local (.env file)
 let supabaseUrl = process.env.SUPABASE_URL;
@@ -19,21 +22,48 @@ if (!supabaseUrl || !supabaseServiceKey) {
   }
 }
 
-if (!supabaseUrl || !supabaseServiceKey) {
+export const supabaseConfigured = Boolean(supabaseUrl && supabaseServiceKey);
+
+let client = null;
+
+/**
+ * Print where to set the credentials
+ */
+export function reportMissingCredentials() {
   console.error('❌ Missing SUPABASE_URL or SUPABASE_SERVICE_KEY');
   console.error('   On Railway: Add these in the Variables tab');
   console.error('   Locally: Create .env file from .env.example');
-  process.exit(1);
 }
 
-console.log('✅ Supabase URL:', supabaseUrl);
+/**
+ * The admin client (throws if credentials are missing)
+ */
+function getClient() {
+  if (client) return client;
+  if (!supabaseConfigured) {
+    throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY');
+  }
+
+  console.log('✅ Supabase URL:', supabaseUrl);
+
+  // Create admin client with service role key
+  // This bypasses Row Level Security - only use on backend!
+  client = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+    },
+    // Node 20 has no global WebSocket, and the client won't start without one
+    realtime: { transport: WebSocket },
+  });
+  return client;
+}
 
-// Create admin client with service role key
-// This bypasses Row Level Security - only use on backend!
-export const supabase = createClient(supabaseUrl, supabaseServiceKey, {
-  auth: {
-    autoRefreshToken: false,
-    persistSession: false,
+// Stands in for the client until first use (supabase.from(...) etc. work as usual)
+export const supabase = new Proxy({}, {
+  get(target, property) {
+    const value = getClient()[property];
+    return typeof value === 'function' ? value.bind(client) : value;
   },
 });
 
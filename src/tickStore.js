@@ -0,0 +1,110 @@
+// Tick Store - In-memory latest ticks and rolling candles
+// Fed by the streaming price feed, read by price updates and signal generation
+
+const INTERVAL_MINUTES = { '15m': 15, '1h': 60, '4h': 240, 'daily': 1440 };
+const MAX_CANDLES = 200; // Rolling candles kept per symbol/interval
+
+/**
+ * Create a tick store
+ */
+export function createTickStore({ intervals = ['15m', '1h'], maxCandles = MAX_CANDLES } = {}) {
+  const latest = new Map();  // symbol -> latest tick
+  const candles = new Map(); // `${symbol}|${interval}` -> klines (oldest first)
+
+  /**
+   * Get (or create) the candle list for a symbol/interval
+   */
+  function series(symbol, interval) {
+    const key = `${symbol}|${interval}`;
+    if (!candles.has(key)) candles.set(key, []);
+    return candles.get(key);
+  }
+
+  /**
+   * Record a ticker update (24h stats + last price)
+   */
+  function onTick(tick) {
+    const previous = latest.get(tick.symbol);
+    const time = tick.time ?? Date.now();
+    latest.set(tick.symbol, {
+      ...previous,
+      ...tick,
+      change: tick.change ?? (tick.open ? ((tick.price - tick.open) / tick.open) * 100 : previous?.change),
+      time,
+      receivedAt: Date.now(),
+    });
+  }
+
+  /**
+   * Record a trade into every rolling candle interval
+   */
+  function onTrade({ symbol, price, size = 0, time = Date.now() }) {
+    for (const interval of intervals) {
+      const bucketMs = INTERVAL_MINUTES[interval] * 60000;
+      const openTime = Math.floor(time / bucketMs) * bucketMs;
+      const list = series(symbol, interval);
+      const last = list[list.length - 1];
+
+      if (last && last.openTime === openTime) {
+        last.high = Math.max(last.high, price);
+        last.low = Math.min(last.low, price);
+        last.close = price;
+        last.volume += size;
+        last.trades++;
+      } else if (!last || openTime > last.openTime) {
+        list.push({
+          openTime,
+          open: price,
+          high: price,
+          low: price,
+          close: price,
+          volume: size,
+          closeTime: openTime + bucketMs,
+          trades: 1,
+        });
+        if (list.length > maxCandles) list.shift();
+      }
+      // Trades older than the current candle are ignored
+    }
+  }
+
+  /**
+   * Seed candle history (e.g. from REST klines) so signals have enough bars
+   */
+  function seed(symbol, interval, klines) {
+    const list = series(symbol, interval);
+    const firstStreamed = list[0]?.openTime ?? Infinity;
+    const history = klines
+      .filter(k => k.openTime < firstStreamed)
+      .map(k => ({ ...k }));
+
+    list.unshift(...history);
+    if (list.length > maxCandles) list.splice(0, list.length - maxCandles);
+  }
+
+  /**
+   * Latest tick for a symbol (or null)
+   */
+  function getLatest(symbol) {
+    return latest.get(symbol) || null;
+  }
+
+  /**
+   * Most recent candles for a symbol/interval, oldest first
+   */
+  function getKlines(symbol, interval, limit = 100) {
+    return series(symbol, interval).slice(-limit).map(k => ({ ...k }));
+  }
+
+  /**
+   * Whether a symbol has had a tick within maxAgeMs
+   */
+  function isFresh(symbol, maxAgeMs = 60000) {
+    const tick = latest.get(symbol);
+    return Boolean(tick) && Date.now() - tick.receivedAt <= maxAgeMs;
+  }
+
+  return { onTick, onTrade, seed, getLatest, getKlines, isFresh, intervals };
+}
+
+export default { createTickStore };
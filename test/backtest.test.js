@@ -0,0 +1,98 @@
+// Backtest - npm run backtest over a fixed candle file
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+
+const RUNNER = fileURLToPath(new URL('../src/runBacktest.js', import.meta.url));
+const START = Date.parse('2025-10-01T00:00:00Z');
+const BARS = 600;
+
+const dir = await mkdtemp(join(tmpdir(), 'backtest-'));
+after(() => rm(dir, { recursive: true, force: true }));
+
+/**
+ * 15m BTC candles as CSV: a slow uptrend with swings, the same on every run
+ */
+function candleCSV(edit = candle => candle) {
+  const rows = ['symbol,timeframe,openTime,open,high,low,close,volume'];
+  let close = 60000;
+  for (let i = 0; i < BARS; i++) {
+    const open = close;
+    close = open * (1 + 0.0008 + 0.004 * Math.sin(i / 5) + 0.002 * Math.sin(i * 1.7));
+    const { high, low, ...candle } = edit({
+      i,
+      open,
+      high: Math.max(open, close) * 1.001,
+      low: Math.min(open, close) * 0.999,
+      close,
+    });
+    rows.push(['BTC', '15m', START + i * 900000, candle.open, high, low, candle.close, 10 + (i % 7)].join(','));
+  }
+  return rows.join('\n');
+}
+
+/**
+ * Run the backtester on a CSV and return its JSON report
+ */
+async function backtest(name, csv, ...args) {
+  const file = join(dir, `${name}.csv`);
+  const out = join(dir, `${name}.json`);
+  await writeFile(file, csv);
+  await promisify(execFile)(process.execPath, [RUNNER, file, '--out', out, ...args], {
+    env: { ...process.env, LOG_LEVEL: 'error' },
+    timeout: 60000,
+  });
+  return JSON.parse(await readFile(out, 'utf8'));
+}
+
+const report = await backtest('trend', candleCSV(), '--strategy', 'all');
+
+test('every bar after the warm-up is a call, FLAT or blocked for each profile', () => {
+  assert.deepEqual(
+    report.map(result => `${result.strategy} ${result.aggressiveness}`),
+    ['agent-alpha', 'mean-reversion', 'breakout']
+      .flatMap(strategy => ['conservative', 'moderate', 'aggressive'].map(profile => `${strategy} ${profile}`))
+  );
+
+  for (const result of report) {
+    assert.equal(result.signals, BARS - 20);
+    assert.equal(result.calls + result.flat + result.blocked, result.signals);
+    assert.equal(result.hits + result.misses, result.calls);
+    assert.equal(result.equity, result.hits - result.misses);
+    assert.equal(result.equityCurve.length, result.signals);
+    assert.equal(result.equityCurve.at(-1).time, new Date(START + BARS * 900000).toISOString());
+  }
+});
+
+test('live gates block calls, except liquidity (no historical order books)', () => {
+  const gates = new Set(report.flatMap(result => Object.keys(result.blockedBy)));
+
+  // The 1h trend rolled up from the 15m series vetoes counter-trend calls
+  assert.ok(gates.has('mtf'));
+  assert.ok(gates.has('volatility'));
+  assert.equal(gates.has('liquidity'), false);
+
+  for (const result of report) {
+    const blocked = Object.values(result.blockedBy);
+    assert.ok(blocked.every(count => count <= result.blocked));
+    assert.ok(result.blocked === 0 || blocked.some(count => count > 0));
+  }
+  assert.ok(report.some(result => result.calls > 0));
+});
+
+test('a later candle never changes earlier calls', async () => {
+  const [original] = report;
+  const [edited] = await backtest('edited', candleCSV((candle) => (
+    candle.i === BARS - 1 ? { ...candle, close: candle.open * 0.5, low: candle.open * 0.5 } : candle
+  )));
+
+  assert.deepEqual(edited.equityCurve.slice(0, -1), original.equityCurve.slice(0, -1));
+  assert.equal(edited.flat, original.flat);
+  assert.equal(edited.blocked, original.blocked);
+});
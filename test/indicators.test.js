@@ -0,0 +1,123 @@
+// Indicators - Reference values worked out by hand from each definition
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sma, ema, rsi, macd, trueRange, atrSeries, atr, bollingerBands, vwap, stochastic, adx } from '../src/indicators.js';
+
+/**
+ * Assert a number to the given decimals
+ */
+function near(actual, expected, digits = 2) {
+  assert.ok(Math.abs(actual - expected) < 0.5 * 10 ** -digits, `${actual} is not ${expected} to ${digits} decimals`);
+}
+
+const bar = (high, low, close, volume = 1) => ({ open: close, high, low, close, volume });
+
+// Wilder's RSI worked example (StockCharts closes, 2 decimals)
+const RSI_CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08,
+  45.89, 46.03, 45.61, 46.28, 46.28, 46.00, 46.03,
+];
+
+test('sma and ema series', () => {
+  assert.deepEqual(sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+  // Seeded with SMA(1, 2, 3) = 2, then multiplier 0.5
+  assert.deepEqual(ema([1, 2, 3, 5, 9], 3), [null, null, 2, 3.5, 6.25]);
+});
+
+test('rsi uses Wilder smoothing', () => {
+  // First 14 changes: gains 3.34, losses 1.40 → RS 2.3857
+  near(rsi(RSI_CLOSES.slice(0, 15)), 100 - 100 / (1 + 3.34 / 1.40));
+  near(rsi(RSI_CLOSES.slice(0, 15)), 70.46);
+  // -0.28: avg gain 3.34/14 × 13/14 = 0.2215, avg loss (0.1 × 13 + 0.28)/14 = 0.1129
+  near(rsi(RSI_CLOSES.slice(0, 16)), 66.25);
+  // +0.03: avg gain 0.2079, avg loss 0.1048
+  near(rsi(RSI_CLOSES), 66.48);
+
+  assert.equal(rsi(RSI_CLOSES.slice(0, 14)), null);
+  assert.equal(rsi(new Array(20).fill(10)), 50);
+  assert.equal(rsi(Array.from({ length: 20 }, (_, i) => i)), 100);
+});
+
+test('macd with signal line', () => {
+  // On a straight line an SMA-seeded EMA(n) trails by (n - 1) / 2:
+  // MACD = 25/2 - 11/2 = 7, the signal line is 7 too
+  const line = Array.from({ length: 60 }, (_, i) => 100 + i);
+  const result = macd(line);
+  near(result.macd, 7, 9);
+  near(result.signal, 7, 9);
+  near(result.histogram, 0, 9);
+
+  assert.deepEqual(macd(new Array(40).fill(5)), { macd: 0, signal: 0, histogram: 0 });
+  assert.equal(macd(line.slice(0, 33)), null);
+});
+
+test('atr uses true range and Wilder smoothing', () => {
+  const klines = [
+    bar(10, 8, 9),
+    bar(11, 9, 10),   // TR 2
+    bar(14, 12, 13),  // Gap up: TR |14 - 10| = 4
+    bar(13, 9, 10),   // TR 4
+    bar(10, 9, 9.5),  // Gap-free: TR 1
+  ];
+
+  assert.deepEqual(trueRange(klines), [2, 2, 4, 4, 1]);
+  // (2 + 4) / 2 = 3, then 3 + (4 - 3) / 2 = 3.5, then 3.5 + (1 - 3.5) / 2 = 2.25
+  assert.deepEqual(atrSeries(klines, 2), [null, null, 3, 3.5, 2.25]);
+  assert.equal(atr(klines, 2), 2.25);
+  assert.equal(atr(klines, 4), 11 / 4);
+  assert.equal(atr(klines, 5), null);
+});
+
+test('bollinger bands use the population standard deviation', () => {
+  // Mean 5, population standard deviation 2
+  const bands = bollingerBands([2, 4, 4, 4, 5, 5, 7, 9], 8);
+
+  assert.equal(bands.middle, 5);
+  assert.equal(bands.upper, 9);
+  assert.equal(bands.lower, 1);
+  assert.equal(bands.bandwidth, 1.6);
+  assert.equal(bands.percentB, 1);
+  assert.equal(bollingerBands([1, 2, 3], 8), null);
+});
+
+test('vwap weights the typical price by volume', () => {
+  const klines = [
+    bar(12, 8, 10, 100), // Typical price 10
+    bar(15, 9, 12, 300), // 12
+    bar(11, 8, 8, 100),  // 9
+  ];
+
+  assert.equal(vwap(klines), (10 * 100 + 12 * 300 + 9 * 100) / 500);
+  assert.equal(vwap([bar(12, 8, 10, 0)]), null);
+});
+
+test('stochastic %K and %D', () => {
+  const klines = [
+    bar(10, 8, 9),
+    bar(11, 9, 10),
+    bar(12, 9, 11),  // Range 8-12: %K 75
+    bar(12, 10, 10), // Range 9-12: %K 33.33
+    bar(13, 11, 13), // Range 9-13: %K 100
+  ];
+  const result = stochastic(klines, 3, 3);
+
+  assert.equal(result.k, 100);
+  near(result.d, (75 + 100 / 3 + 100) / 3, 9);
+  assert.equal(stochastic(klines.slice(0, 4), 3, 3), null);
+});
+
+test('adx with +DI/-DI', () => {
+  // Every bar one point higher with a 2-point range: +DM 1, -DM 0, TR 2
+  const rising = Array.from({ length: 10 }, (_, i) => bar(i + 2, i, i + 1));
+  assert.deepEqual(adx(rising, 3), { adx: 100, plusDI: 50, minusDI: 0 });
+
+  const falling = Array.from({ length: 10 }, (_, i) => bar(12 - i, 10 - i, 11 - i));
+  assert.deepEqual(adx(falling, 3), { adx: 100, plusDI: 0, minusDI: 50 });
+
+  // Inside bars move neither way: no direction at all
+  const flat = new Array(10).fill(null).map(() => bar(11, 9, 10));
+  assert.deepEqual(adx(flat, 3), { adx: 0, plusDI: 0, minusDI: 0 });
+
+  assert.equal(adx(rising.slice(0, 6), 3), null);
+});
@@ -0,0 +1,226 @@
+// Notifications - Pushes against local FCM and Supabase (PostgREST) stand-ins
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { generateKeyPairSync } from 'node:crypto';
+
+/**
+ * Start a local server and return its base URL
+ */
+async function listen(handler) {
+  const server = createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const json = req.headers['content-type']?.includes('json') && body;
+    const reply = await handler(req, json ? JSON.parse(body) : null);
+    res.writeHead(reply.status ?? 200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(reply.body ?? null));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+// FCM stand-in: the token exchange and messages:send, with a dead and a busy token
+const sends = [];
+const FCM_URL = await listen((req, message) => {
+  if (req.url === '/token') return { body: { access_token: 'test-access-token', expires_in: 3600 } };
+
+  const { token, notification } = message.message;
+  sends.push({ token, title: notification.title });
+  if (token === 'dead-token') {
+    return { status: 404, body: { error: { status: 'NOT_FOUND', details: [{ errorCode: 'UNREGISTERED' }] } } };
+  }
+  if (token === 'busy-token') return { status: 503, body: { error: { status: 'UNAVAILABLE' } } };
+  return { body: { name: 'projects/demo/messages/1' } };
+});
+
+// PostgREST stand-in: just the filters, upserts and updates the module uses
+const tables = {};
+const queries = [];
+const RESERVED = ['select', 'order', 'limit', 'on_conflict', 'columns'];
+
+/**
+ * Whether a row passes one PostgREST filter (column=op.value, or or=(...))
+ */
+function matches(row, column, filter) {
+  if (column === 'or') {
+    return filter.slice(1, -1).split(',').some((part) => {
+      const dot = part.indexOf('.');
+      return matches(row, part.slice(0, dot), part.slice(dot + 1));
+    });
+  }
+
+  const dot = filter.indexOf('.');
+  const [op, value] = [filter.slice(0, dot), filter.slice(dot + 1)];
+  const cell = row[column] ?? null;
+  if (op === 'eq') return String(cell) === value;
+  if (op === 'is') return cell === JSON.parse(value);
+  if (op === 'lte') return cell !== null && cell <= value;
+  if (op === 'in') return value.slice(1, -1).split(',').includes(String(cell));
+  throw new Error(`Unsupported filter ${column}=${filter}`);
+}
+
+const SUPABASE_URL = await listen((req, body) => {
+  const url = new URL(req.url, 'http://localhost');
+  const table = url.pathname.split('/').pop();
+  const rows = (tables[table] ??= []);
+  queries.push({ method: req.method, table, params: url.searchParams });
+
+  const filters = [...url.searchParams].filter(([column]) => !RESERVED.includes(column));
+  const selected = rows.filter(row => filters.every(([column, filter]) => matches(row, column, filter)));
+
+  if (req.method === 'GET') {
+    const limit = Number(url.searchParams.get('limit') ?? Infinity);
+    return { body: selected.slice(0, limit) };
+  }
+  if (req.method === 'PATCH') {
+    for (const row of selected) Object.assign(row, body);
+    return { body: selected };
+  }
+
+  // POST: insert, skipping rows that conflict when asked to ignore duplicates
+  const key = url.searchParams.get('on_conflict');
+  const inserted = [];
+  for (const row of [body].flat()) {
+    if (key && rows.some(existing => existing[key] === row[key])) continue;
+    rows.push(row);
+    inserted.push(row);
+  }
+  return { status: 201, body: inserted };
+});
+
+// Read when the modules load
+const { privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+process.env.SUPABASE_URL = SUPABASE_URL;
+process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+process.env.FCM_API_URL = FCM_URL;
+process.env.FCM_TOKEN_URL = `${FCM_URL}/token`;
+process.env.FCM_SERVICE_ACCOUNT = JSON.stringify({
+  project_id: 'demo',
+  client_email: 'pusher@demo.iam.gserviceaccount.com',
+  private_key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+});
+process.env.LOG_LEVEL = 'error';
+
+const { notifySignals, flushDeferredNotifications, inQuietHours, quietHoursEnd } = await import('../src/notifications.js');
+
+const SIGNAL = {
+  id: 1,
+  market_id: 'btc-usd',
+  symbol: 'BTC/USD',
+  timeframe: '15m',
+  strategy_id: 'agent-alpha',
+  profile: 'aggressive',
+  direction: 'UP',
+  confidence: 70,
+  tradeable: true,
+  rationale: '15m UP, driven by order flow',
+  expires_at: '2025-10-19T00:15:00.000Z',
+};
+
+/**
+ * UTC HH:MM some minutes from now
+ */
+function utcTime(minutesFromNow) {
+  return new Date(Date.now() + minutesFromNow * 60000).toISOString().slice(11, 16);
+}
+
+const logEntry = userId => tables.notification_log.find(entry => entry.user_id === userId);
+
+test('quiet hours wrap past midnight and end at local quiet_end', () => {
+  const night = { quiet_start: '22:00:00', quiet_end: '07:00:00', timezone: 'Europe/Madrid' };
+  const lateEvening = new Date('2025-10-19T21:15:40Z'); // 23:15 in Madrid (UTC+2)
+
+  assert.equal(inQuietHours(night, lateEvening), true);
+  assert.equal(inQuietHours(night, new Date('2025-10-19T05:00:00Z')), false);
+  assert.equal(quietHoursEnd(night, lateEvening).toISOString(), '2025-10-20T05:00:00.000Z');
+  assert.equal(inQuietHours({ quiet_start: '09:00', quiet_end: '09:00' }, lateEvening), false);
+});
+
+test('notifySignals pushes to matching subscribers and defers quiet hours', async () => {
+  tables.signals = [
+    { ...SIGNAL, status: 'active' },
+    { ...SIGNAL, id: 2, direction: 'DOWN', expires_at: '2025-10-18T23:45:00.000Z', status: 'expired' },
+  ];
+  tables.notification_subscriptions = [
+    { user_id: 'match', market_id: 'btc-usd', timeframe: '15m', min_confidence: 60, is_active: true },
+    { user_id: 'busy', market_id: null, timeframe: null, is_active: true },
+    { user_id: 'other-market', market_id: 'eth-usd', timeframe: null, is_active: true },
+    { user_id: 'other-profile', market_id: null, timeframe: null, profile: 'moderate', is_active: true },
+    { user_id: 'high-bar', market_id: null, timeframe: '15m', min_confidence: 80, is_active: true },
+    {
+      user_id: 'sleeping',
+      market_id: 'btc-usd',
+      timeframe: null,
+      quiet_start: utcTime(-60),
+      quiet_end: utcTime(60),
+      timezone: 'UTC',
+      is_active: true,
+    },
+  ];
+  tables.device_tokens = [
+    { user_id: 'match', token: 'phone-token', is_active: true },
+    { user_id: 'match', token: 'dead-token', is_active: true },
+    { user_id: 'busy', token: 'busy-token', is_active: true },
+    { user_id: 'sleeping', token: 'tablet-token', is_active: true },
+  ];
+  tables.notification_log = [];
+
+  await notifySignals([SIGNAL, { ...SIGNAL, id: 3, direction: 'FLAT', tradeable: false }]);
+
+  // Market and timeframe are filtered by the query itself
+  const lookup = queries.find(query => query.table === 'notification_subscriptions').params;
+  assert.deepEqual(lookup.getAll('or'), [
+    '(market_id.is.null,market_id.eq.btc-usd)',
+    '(timeframe.is.null,timeframe.eq.15m)',
+  ]);
+  assert.deepEqual(tables.notification_log.map(entry => entry.user_id).sort(), ['busy', 'match', 'sleeping']);
+
+  // One device delivered: sent, and the dead token is retired
+  assert.equal(logEntry('match').status, 'sent');
+  assert.match(logEntry('match').error, /HTTP 404 UNREGISTERED/);
+  assert.equal(tables.device_tokens.find(device => device.token === 'dead-token').is_active, false);
+
+  // A failed send isn't retried (it may have gone through)
+  assert.equal(sends.filter(send => send.token === 'busy-token').length, 1);
+  assert.equal(logEntry('busy').status, 'failed');
+  assert.equal(logEntry('busy').error, 'HTTP 503 UNAVAILABLE');
+
+  // Quiet hours: held back until they end
+  const deferred = logEntry('sleeping');
+  assert.equal(deferred.status, 'deferred');
+  const { quiet_end: quietEnd } = tables.notification_subscriptions.find(sub => sub.user_id === 'sleeping');
+  assert.equal(deferred.deliver_after.slice(11, 16), quietEnd);
+  assert.equal(deferred.message.title, 'BTC 15m: UP');
+  assert.equal(sends.some(send => send.token === 'tablet-token'), false);
+});
+
+test('flushDeferredNotifications sends once quiet hours end if the call still stands', async () => {
+  tables.notification_log.push({
+    dedup_key: 'sleeping|signal|2',
+    user_id: 'sleeping',
+    signal_id: 2,
+    event: 'signal',
+    status: 'deferred',
+    deliver_after: new Date(Date.now() - 60000).toISOString(),
+    message: { title: 'BTC 15m: DOWN', body: 'Stale call', data: {} },
+  });
+
+  // The expired call's push is due now, the other one not yet
+  assert.equal(await flushDeferredNotifications(), 0);
+  assert.equal(tables.notification_log.find(entry => entry.signal_id === 2).status, 'expired');
+  assert.equal(logEntry('sleeping').status, 'deferred');
+
+  // A refresh replaces the pushed row overnight; the call itself still stands
+  tables.signals[0].status = 'superseded';
+  tables.signals.push({ ...SIGNAL, id: 5, confidence: 72, status: 'active' });
+
+  assert.equal(await flushDeferredNotifications(new Date(Date.now() + 2 * 3600000)), 1);
+  assert.equal(logEntry('sleeping').status, 'sent');
+  assert.deepEqual(sends.filter(send => send.token === 'tablet-token'), [{ token: 'tablet-token', title: 'BTC 15m: UP' }]);
+
+  // Nothing left to send
+  assert.equal(await flushDeferredNotifications(new Date(Date.now() + 2 * 3600000)), 0);
+});
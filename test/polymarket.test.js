@@ -0,0 +1,124 @@
+// Polymarket - Odds lookup against a local Gamma stand-in, edge and the edge gate
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+// Gamma stand-in: GET /markets?slug=... answers from this table
+const CONTRACTS = {
+  'btc-updown-1h-1760832000': { outcomes: '["Up", "Down"]', outcomePrices: '["0.57", "0.43"]', closed: false },
+  'btc-updown-1h-1760835600': { outcomes: '["Up", "Down"]', outcomePrices: '["0.61", "0.39"]', closed: true },
+  'btc-updown-1h-1760839200': { outcomes: '["Yes", "No"]', outcomePrices: '["0.3", "0.7"]', closed: false },
+  'edge-wide': { outcomes: '["Up", "Down"]', outcomePrices: '["0.5", "0.5"]', closed: false },
+  'edge-thin': { outcomes: '["Up", "Down"]', outcomePrices: '["0.65", "0.35"]', closed: false },
+};
+const requests = [];
+
+const gamma = createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const slug = url.searchParams.get('slug');
+  requests.push(slug);
+
+  if (url.pathname !== '/markets') {
+    res.writeHead(404).end();
+  } else if (slug === 'gamma-down') {
+    res.writeHead(502).end('Bad Gateway');
+  } else {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(CONTRACTS[slug] ? [{ slug, ...CONTRACTS[slug] }] : []));
+  }
+});
+await new Promise(resolve => gamma.listen(0, '127.0.0.1', resolve));
+after(() => gamma.close());
+
+// Read when the modules load
+const API_URL = `http://127.0.0.1:${gamma.address().port}`;
+process.env.POLYMARKET_API_URL = API_URL;
+process.env.LOG_LEVEL = 'error';
+
+const { contractSlug, fetchImpliedOdds, calculateEdge, contractPrice } = await import('../src/polymarket.js');
+const { createFixtureFetch } = await import('../src/fixtures.js');
+const { setFetch } = await import('../src/httpClient.js');
+const { generateProfileSignals } = await import('../src/signalGenerator.js');
+
+// Gamma goes to the stand-in, exchange APIs to the recorded fixtures
+const replay = createFixtureFetch({ mode: 'replay' });
+setFetch((url, init) => (url.startsWith(API_URL) ? fetch(url, init) : replay(url, init)), { offline: true });
+
+const WINDOW = new Date('2025-10-19T00:20:00Z'); // 1h window starting 1760832000
+
+test('contractSlug uses the window start and per-market templates', () => {
+  assert.equal(contractSlug('BTC', '1h', WINDOW), 'btc-updown-1h-1760832000');
+  assert.equal(contractSlug('ETH', '15m', WINDOW), 'eth-updown-15m-1760832900');
+  assert.equal(contractSlug('BTC', '1h', WINDOW, { '1h': 'bitcoin-up-or-down-{start}' }), 'bitcoin-up-or-down-1760832000');
+});
+
+test('fetchImpliedOdds reads the open contract and caches it', async () => {
+  const odds = await fetchImpliedOdds('BTC', '1h', { date: WINDOW });
+  assert.deepEqual(odds, { slug: 'btc-updown-1h-1760832000', pUp: 0.57, pDown: 0.43 });
+
+  const lookups = requests.length;
+  assert.deepEqual(await fetchImpliedOdds('BTC', '1h', { date: WINDOW }), odds);
+  assert.equal(requests.length, lookups);
+});
+
+test('fetchImpliedOdds reads Yes/No outcomes as up/down', async () => {
+  const odds = await fetchImpliedOdds('BTC', '1h', { date: new Date('2025-10-19T02:00:00Z') });
+  assert.deepEqual(odds, { slug: 'btc-updown-1h-1760839200', pUp: 0.3, pDown: 0.7 });
+});
+
+test('fetchImpliedOdds returns null for closed, missing and failed contracts', async () => {
+  assert.equal(await fetchImpliedOdds('BTC', '1h', { date: new Date('2025-10-19T01:00:00Z') }), null);
+  assert.equal(await fetchImpliedOdds('SOL', '1h', { date: WINDOW }), null);
+  assert.equal(await fetchImpliedOdds('BTC', '1h', { templates: { '1h': 'gamma-down' } }), null);
+  assert.ok(requests.includes('gamma-down'));
+});
+
+test('calculateEdge compares our probability for the called side with the market', () => {
+  const odds = { pUp: 0.57, pDown: 0.43 };
+
+  near(calculateEdge('UP', 66, odds), 9);
+  near(calculateEdge('DOWN', 30, odds), 27);
+  near(calculateEdge('DOWN', 60, odds), -3);
+  assert.equal(calculateEdge('FLAT', 50, odds), null);
+  assert.equal(calculateEdge('UP', null, odds), null);
+  assert.equal(calculateEdge('UP', 66, null), null);
+
+  assert.equal(contractPrice('UP', odds), 0.57);
+  assert.equal(contractPrice('DOWN', odds), 0.43);
+  assert.equal(contractPrice('FLAT', odds), null);
+});
+
+test('the edge gate passes a call with enough edge over the market', async () => {
+  // Replayed BTC 15m scores 66.5: UP for moderate and aggressive
+  const signals = await generateProfileSignals('BTC', '15m', { polymarketSlugs: { '15m': 'edge-wide' } });
+  const moderate = signals.find(s => s.profile === 'moderate');
+
+  assert.equal(moderate.direction, 'UP');
+  assert.equal(moderate.polymarket_slug, 'edge-wide');
+  assert.equal(moderate.market_price, 0.5);
+  assert.equal(moderate.edge, 16.5);
+  assert.equal(moderate.edge_pass, true);
+});
+
+test('the edge gate blocks a call the market already prices in', async () => {
+  const signals = await generateProfileSignals('BTC', '15m', { polymarketSlugs: { '15m': 'edge-thin' } });
+  const moderate = signals.find(s => s.profile === 'moderate');
+
+  assert.equal(moderate.edge, 1.5);
+  assert.equal(moderate.edge_pass, false);
+  assert.equal(moderate.tradeable, false);
+  assert.match(moderate.gate_reasons.edge, /Edge 1\.5 points over the market price \(minimum 2\)/);
+
+  // No call to price for FLAT, so the gate doesn't apply
+  const conservative = signals.find(s => s.profile === 'conservative');
+  assert.equal(conservative.edge, null);
+  assert.equal(conservative.edge_pass, true);
+});
+
+/**
+ * Assert a number to 9 decimals
+ */
+function near(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
@@ -0,0 +1,73 @@
+// Price Fetcher - Consensus pricing over the recorded tickers, candle limits
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+
+const { createFixtureFetch } = await import('../src/fixtures.js');
+const { setFetch } = await import('../src/httpClient.js');
+const { fetchConsensusPrice, fetchRemoteKlines } = await import('../src/priceFetcher.js');
+const { loadConfig } = await import('../src/config.js');
+
+const replay = createFixtureFetch({ mode: 'replay' });
+setFetch(replay);
+
+/**
+ * Only quote from these sources (re-reads the config)
+ */
+function onlySources(...names) {
+  const all = ['CoinGecko', 'Kraken', 'Coinbase', 'Bybit', 'CryptoCompare'];
+  process.env.EXCHANGES_DISABLED = all.filter(name => !names.includes(name)).join(',');
+  loadConfig();
+}
+
+test('consensus drops quotes outside the tolerance', async () => {
+  onlySources('CoinGecko', 'Kraken', 'Bybit');
+  const price = await fetchConsensusPrice('BTC', { tolerancePct: 0.015 });
+
+  // Median 67251.4 (Kraken): CoinGecko is 0.017% under it, Bybit 0.013% over
+  assert.equal(price.price, (67251.4 + 67260.1) / 2);
+  assert.deepEqual(price.quotes.map(q => q.source).sort(), ['Bybit', 'Kraken']);
+  assert.deepEqual(price.rejected.map(q => q.source), ['CoinGecko']);
+});
+
+test('consensus falls back to the median of all quotes when none is within the tolerance', async () => {
+  onlySources('CoinGecko', 'Bybit');
+  const price = await fetchConsensusPrice('BTC', { tolerancePct: 0.001, method: 'vwap' });
+
+  assert.equal(price.price, (67240 + 67260.1) / 2);
+  assert.ok(Number.isFinite(price.change));
+  assert.equal(price.method, 'median');
+  assert.equal(price.quotes.length, 2);
+  assert.deepEqual(price.rejected, []);
+});
+
+test('consensus throws when no source answers', async () => {
+  onlySources();
+  await assert.rejects(fetchConsensusPrice('BTC'), /All APIs failed for BTC/);
+});
+
+test('the CryptoCompare fallback fetches as many candles as asked for', async () => {
+  onlySources('Kraken', 'CryptoCompare');
+  const urls = [];
+  setFetch(async (url) => {
+    urls.push(url);
+    const { host, searchParams } = new URL(url);
+    if (host === 'api.kraken.com') throw new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } });
+
+    // CryptoCompare answers with limit + 1 bars
+    const bars = Array.from({ length: Number(searchParams.get('limit')) + 1 }, (_, i) => ({
+      time: 1760000000 + i * 900, open: 100, high: 101, low: 99, close: 100.5, volumefrom: 1,
+    }));
+    return Response.json({ Response: 'Success', Data: { Data: bars } });
+  }, { offline: true });
+
+  try {
+    const klines = await fetchRemoteKlines('BTC', '15m', 720);
+    assert.equal(klines.length, 720);
+    assert.match(urls.at(-1), /histominute\?fsym=BTC&tsym=USD&limit=720&aggregate=15$/);
+  } finally {
+    setFetch(replay);
+  }
+});
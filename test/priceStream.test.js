@@ -0,0 +1,167 @@
+// Price Stream - Kraken and Coinbase feeds against a local WebSocket stand-in
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocketServer } from 'ws';
+
+process.env.LOG_LEVEL = 'error';
+
+const { startPriceStream } = await import('../src/priceStream.js');
+const { createTickStore } = await import('../src/tickStore.js');
+
+// Stand-in for both exchanges: connections by path (/kraken, /coinbase),
+// each with the messages the client sent
+const connections = [];
+const server = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+server.on('connection', (socket, req) => {
+  const connection = { path: req.url, socket, received: [] };
+  socket.on('message', raw => connection.received.push(JSON.parse(raw.toString())));
+  connections.push(connection);
+});
+await new Promise(resolve => server.once('listening', resolve));
+
+const BASE_URL = `ws://127.0.0.1:${server.address().port}`;
+const store = createTickStore({ intervals: ['15m', '1h'] });
+const statuses = [];
+const stream = startPriceStream({
+  store,
+  symbols: ['BTC', 'ETH'],
+  urls: { Kraken: `${BASE_URL}/kraken`, Coinbase: `${BASE_URL}/coinbase` },
+  onStatus: (name, status) => statuses.push(`${name} ${status}`),
+});
+
+after(() => {
+  stream.stop();
+  server.close();
+});
+
+/**
+ * Wait until check() returns something truthy (fails after 3 seconds)
+ */
+async function waitFor(check, what) {
+  const deadline = Date.now() + 3000;
+  for (;;) {
+    const value = check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Latest connection on a path once it has sent n messages
+ */
+function subscribed(path, n, skip = 0) {
+  return waitFor(() => {
+    const connection = connections.filter(c => c.path === path)[skip];
+    return connection?.received.length >= n && connection;
+  }, `${n} messages on ${path}`);
+}
+
+const send = (connection, message) => connection.socket.send(JSON.stringify(message));
+
+test('kraken subscribes to ticker and trades for every pair', async () => {
+  const kraken = await subscribed('/kraken', 2);
+
+  assert.deepEqual(kraken.received, [
+    { method: 'subscribe', params: { channel: 'ticker', symbol: ['BTC/USD', 'ETH/USD'] } },
+    { method: 'subscribe', params: { channel: 'trade', symbol: ['BTC/USD', 'ETH/USD'] } },
+  ]);
+});
+
+test('kraken tickers and trades reach the store and roll up into candles', async () => {
+  const kraken = await subscribed('/kraken', 2);
+
+  send(kraken, {
+    channel: 'ticker',
+    data: [{ symbol: 'BTC/USD', last: 67250, change: 1250, change_pct: 1.9, high: 67500, low: 65800, volume: 1834.2 }],
+  });
+  kraken.socket.send('not json');
+  send(kraken, {
+    channel: 'trade',
+    data: [
+      { symbol: 'BTC/USD', price: 67200, qty: 0.5, timestamp: '2025-10-19T00:14:10Z' },
+      { symbol: 'BTC/USD', price: 67300, qty: 0.25, timestamp: '2025-10-19T00:15:05Z' },
+      { symbol: 'BTC/USD', price: 67150, qty: 1, timestamp: '2025-10-19T00:16:30Z' },
+      { symbol: 'BTC/USD', price: 67400, qty: 0.1, timestamp: '2025-10-19T00:29:59Z' },
+      { symbol: 'DOGE/USD', price: 0.2, qty: 100, timestamp: '2025-10-19T00:20:00Z' }, // Not subscribed
+    ],
+  });
+
+  const tick = await waitFor(() => store.getLatest('BTC'), 'a BTC tick');
+  assert.equal(tick.price, 67250);
+  assert.equal(tick.open, 66000);
+  assert.equal(tick.change, 1.9);
+  assert.equal(tick.source, 'Kraken');
+
+  const candles = await waitFor(() => {
+    const list = store.getKlines('BTC', '15m');
+    return list.at(-1)?.trades === 3 && list;
+  }, 'the 00:15 candle');
+  const quarter = Date.parse('2025-10-19T00:15:00Z');
+  assert.deepEqual(candles, [
+    {
+      openTime: quarter - 15 * 60000,
+      open: 67200, high: 67200, low: 67200, close: 67200, volume: 0.5,
+      closeTime: quarter,
+      trades: 1,
+    },
+    {
+      openTime: quarter,
+      open: 67300, high: 67400, low: 67150, close: 67400, volume: 1.35,
+      closeTime: quarter + 15 * 60000,
+      trades: 3,
+    },
+  ]);
+
+  const [hour] = store.getKlines('BTC', '1h');
+  assert.equal(hour.openTime, Date.parse('2025-10-19T00:00:00Z'));
+  assert.deepEqual([hour.open, hour.high, hour.low, hour.close, hour.trades], [67200, 67400, 67150, 67400, 4]);
+  assert.deepEqual(store.getKlines('DOGE', '15m'), []);
+});
+
+test('coinbase tickers count as a tick and a trade', async () => {
+  const coinbase = await subscribed('/coinbase', 1);
+  assert.deepEqual(coinbase.received, [
+    { type: 'subscribe', product_ids: ['BTC-USD', 'ETH-USD'], channels: ['ticker', 'heartbeat'] },
+  ]);
+
+  send(coinbase, { type: 'heartbeat', product_id: 'ETH-USD' });
+  send(coinbase, {
+    type: 'ticker',
+    product_id: 'ETH-USD',
+    price: '2600.5',
+    open_24h: '2500',
+    high_24h: '2610',
+    low_24h: '2480',
+    volume_24h: '90210.5',
+    last_size: '0.8',
+    time: '2025-10-19T00:05:00Z',
+  });
+
+  const tick = await waitFor(() => store.getLatest('ETH'), 'an ETH tick');
+  assert.equal(tick.price, 2600.5);
+  assert.equal(tick.source, 'Coinbase');
+  assert.ok(Math.abs(tick.change - 4.02) < 1e-9);
+
+  const [candle] = store.getKlines('ETH', '15m');
+  assert.equal(candle.openTime, Date.parse('2025-10-19T00:00:00Z'));
+  assert.equal(candle.close, 2600.5);
+  assert.equal(candle.volume, 0.8);
+});
+
+test('a dropped socket reconnects and subscribes again', async () => {
+  const first = await subscribed('/kraken', 2);
+  first.socket.terminate();
+
+  await waitFor(() => statuses.includes('Kraken disconnected'), 'the disconnect');
+  const second = await subscribed('/kraken', 2, 1);
+  assert.deepEqual(second.received, first.received);
+  assert.equal(statuses.filter(status => status === 'Kraken connected').length, 2);
+
+  send(second, {
+    channel: 'ticker',
+    data: [{ symbol: 'BTC/USD', last: 67500, change: 1500, change_pct: 2.27, high: 67600, low: 65800, volume: 1900 }],
+  });
+  await waitFor(() => store.getLatest('BTC').price === 67500, 'a tick after reconnecting');
+});
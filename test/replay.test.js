@@ -0,0 +1,189 @@
+// Replay - Price fetcher and signal generator against the recorded fixtures
+// Runs offline: every request is answered from fixtures/ (BTC on each exchange),
+// with FETCH_FAULTS-style faults layered on top per test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+// Read when the modules load
+process.env.HTTP_TIMEOUT_MS = '300';
+process.env.POLYMARKET_ENABLED = 'off';
+process.env.LOG_LEVEL = 'error';
+
+const { createFixtureFetch, fixturePath, FAULT_NAMES } = await import('../src/fixtures.js');
+const { setFetch } = await import('../src/httpClient.js');
+const { fetchPrice, fetchKlines, fetchOrderBook } = await import('../src/priceFetcher.js');
+const { generateProfileSignals, generateSignal } = await import('../src/signalGenerator.js');
+const { getExchangeHealth } = await import('../src/exchangeRegistry.js');
+const { loadConfig } = await import('../src/config.js');
+
+const FIXTURES_DIR = fileURLToPath(new URL('../fixtures/', import.meta.url));
+
+/**
+ * Replay fixtures with faults ({ host: fault }) on top
+ */
+function replay(faults = {}) {
+  setFetch(createFixtureFetch({ mode: 'replay', faults }));
+}
+
+/**
+ * Parsed body of a recorded GET
+ */
+async function fixtureBody(url) {
+  const fixture = JSON.parse(await readFile(`${FIXTURES_DIR}${fixturePath('GET', url)}`, 'utf8'));
+  return JSON.parse(fixture.response.body);
+}
+
+/**
+ * Try ticker sources in this order (re-reads the config)
+ */
+function exchangeOrder(...names) {
+  process.env.EXCHANGE_ORDER = names.join(',');
+  loadConfig();
+}
+
+const health = name => getExchangeHealth().find(source => source.name === name);
+
+test('fetchPrice takes the first source in the default order', async () => {
+  replay();
+  const price = await fetchPrice('BTC');
+
+  assert.equal(price.source, 'CoinGecko');
+  assert.equal(price.price, 67240);
+  assert.equal(price.change, 1.384);
+});
+
+test('fetchPrice in consensus mode combines every source', async () => {
+  replay();
+  const price = await fetchPrice('BTC', { consensus: true });
+
+  assert.equal(price.source, 'consensus');
+  assert.deepEqual(price.quotes.map(q => q.source).sort(), ['Bybit', 'CoinGecko', 'Coinbase', 'CryptoCompare', 'Kraken']);
+  assert.equal(price.price, 67251.4); // Median of the five quotes (Kraken's)
+  assert.deepEqual(price.rejected, []);
+});
+
+test('fetchKlines reads Kraken OHLC', async () => {
+  replay();
+  const klines = await fetchKlines('BTC', '15m', 100);
+  const { result } = await fixtureBody('https://api.kraken.com/0/public/OHLC?pair=XBTUSD&interval=15');
+  const last = result.XXBTZUSD.at(-1);
+
+  assert.equal(klines.length, 100);
+  assert.equal(klines.at(-1).openTime, last[0] * 1000);
+  assert.equal(klines.at(-1).close, parseFloat(last[4]));
+});
+
+test('fetchKlines falls back to CryptoCompare when Kraken is down', async () => {
+  replay({ 'api.kraken.com': 'outage' });
+  const klines = await fetchKlines('BTC', '15m', 100);
+  const { Data } = await fixtureBody(
+    'https://min-api.cryptocompare.com/data/v2/histominute?fsym=BTC&tsym=USD&limit=100&aggregate=15'
+  );
+
+  assert.equal(klines.length, 100);
+  assert.equal(klines.at(-1).close, Data.Data.at(-1).close);
+  assert.equal(klines.at(-1).closeTime, (Data.Data.at(-1).time + 15 * 60) * 1000);
+});
+
+test('fetchKlines throws when no source has candles', async () => {
+  replay({ 'api.kraken.com': 'server', 'min-api.cryptocompare.com': 'empty' });
+  await assert.rejects(fetchKlines('BTC', '15m', 100), /No kline data available for BTC/);
+});
+
+test('generateProfileSignals scores once and builds a signal per profile', async () => {
+  replay();
+  const signals = await generateProfileSignals('BTC', '15m', { marketId: 'btc-usd' });
+
+  assert.deepEqual(signals.map(s => s.profile), ['conservative', 'moderate', 'aggressive']);
+  assert.deepEqual(signals.map(s => s.direction), ['FLAT', 'UP', 'UP']);
+  assert.deepEqual(signals.map(s => s.confidence), [null, 66, 66]);
+  for (const signal of signals) {
+    assert.equal(signal.market_id, 'btc-usd');
+    assert.equal(signal.symbol, 'BTC/USD');
+    assert.equal(signal.strategy_id, 'agent-alpha');
+    assert.equal(signal.raw_confidence, 66.5);
+    assert.equal(signal.calibrated_confidence, 66.5);
+    assert.deepEqual(signal.component_scores, { order_flow: 5.6, momentum: -0.1, sentiment: 8 });
+    assert.equal(signal.entry_price, 68522.4);
+    assert.equal(signal.liquidity_pass, true);
+    assert.equal(signal.edge, null);
+    assert.equal(signal.status, 'active');
+  }
+});
+
+test('generateSignal returns the single profile asked for', async () => {
+  replay();
+  const signal = await generateSignal('BTC', '1h', 'aggressive');
+
+  assert.equal(signal.profile, 'aggressive');
+  assert.equal(signal.timeframe, '1h');
+  assert.ok(['UP', 'DOWN', 'FLAT'].includes(signal.direction));
+  assert.ok(signal.raw_confidence >= 0 && signal.raw_confidence <= 100);
+});
+
+// Each fault hits the first ticker source; fetchPrice moves on to the next one
+const FAULT_SCENARIOS = {
+  outage: { order: ['CoinGecko', 'Kraken'], host: 'api.coingecko.com', error: /ECONNREFUSED/ },
+  timeout: { order: ['Kraken', 'Coinbase'], host: 'api.kraken.com', error: /Timed out/ },
+  server: { order: ['Bybit', 'Kraken'], host: 'api.bybit.com', error: /HTTP 503/ },
+  rate_limited: { order: ['CryptoCompare', 'Kraken'], host: 'min-api.cryptocompare.com', error: /HTTP 429/ },
+  malformed: { order: ['Coinbase', 'Kraken'], host: 'api.coinbase.com', error: /Invalid JSON/ },
+  empty: { order: ['CoinGecko', 'Kraken'], host: 'api.coingecko.com', error: /empty response/ },
+};
+
+test('every fault has a scenario', () => {
+  assert.deepEqual(Object.keys(FAULT_SCENARIOS).sort(), [...FAULT_NAMES].sort());
+});
+
+for (const [fault, { order, host, error }] of Object.entries(FAULT_SCENARIOS)) {
+  test(`fetchPrice falls back past a ${fault} source`, async () => {
+    exchangeOrder(...order);
+    replay({ [host]: fault });
+
+    const price = await fetchPrice('BTC');
+    assert.equal(price.source, order[1]);
+    assert.match(health(order[0]).lastError, error);
+    if (fault === 'rate_limited') assert.notEqual(health(order[0]).rateLimitedUntil, null);
+  });
+}
+
+test('fetchPrice throws when every source is down', async () => {
+  exchangeOrder();
+  replay({ '*': 'outage' });
+  await assert.rejects(fetchPrice('BTC'), /All APIs failed for BTC/);
+});
+
+test('signals still generate through a partial outage', async () => {
+  exchangeOrder();
+  replay({ 'api.kraken.com': 'outage', 'api.exchange.coinbase.com': 'malformed' });
+
+  const book = await fetchOrderBook('BTC');
+  assert.equal(book.source, 'Bybit');
+
+  const signals = await generateProfileSignals('BTC', '15m', { marketId: 'btc-usd' });
+  assert.equal(signals.length, 3);
+  for (const signal of signals) {
+    assert.ok(['UP', 'DOWN', 'FLAT'].includes(signal.direction));
+    assert.ok(signal.raw_confidence >= 0 && signal.raw_confidence <= 100);
+  }
+});
+
+test('order flow goes unscored when no exchange returns depth', async () => {
+  exchangeOrder();
+  replay({ 'api.kraken.com': 'outage', 'api.exchange.coinbase.com': 'server', 'api.bybit.com': 'empty' });
+
+  assert.equal(await fetchOrderBook('BTC'), null);
+
+  const signals = await generateProfileSignals('BTC', '15m', { marketId: 'btc-usd' });
+  assert.equal(signals.length, 3);
+  for (const signal of signals) {
+    assert.equal(signal.order_flow_score, null);
+    assert.deepEqual(Object.keys(signal.component_scores), ['momentum', 'sentiment']);
+    assert.equal(signal.liquidity_pass, false);
+    assert.equal(signal.tradeable, false);
+    assert.equal(signal.gate_reasons.liquidity, 'No order book depth from any exchange');
+  }
+});
@@ -0,0 +1,65 @@
+// HTTP API - /health through startup, stale prices and recovery
+
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+
+const { startServer } = await import('../src/server.js');
+const { recordPriceUpdate, recordStartupComplete } = await import('../src/serviceStatus.js');
+const { getActiveMarkets } = await import('../src/marketRegistry.js');
+
+const server = startServer({ port: 0, regenerate: async () => [] });
+await new Promise(resolve => server.once('listening', resolve));
+after(() => server.close());
+
+const BASE_URL = `http://127.0.0.1:${server.address().port}`;
+const MARKETS = getActiveMarkets().map(market => market.id);
+
+/**
+ * GET /health as { code, body }
+ */
+async function health() {
+  const response = await fetch(`${BASE_URL}/health`);
+  return { code: response.status, body: await response.json() };
+}
+
+test('health passes as starting until the startup run has finished', async () => {
+  const { code, body } = await health();
+
+  assert.equal(code, 200);
+  assert.equal(body.status, 'starting');
+  assert.equal(body.startupCompletedAt, null);
+  assert.deepEqual(body.stalePrices, MARKETS);
+});
+
+test('health is degraded (503) once started without fresh prices', async () => {
+  recordStartupComplete();
+  const { code, body } = await health();
+
+  assert.equal(code, 503);
+  assert.equal(body.status, 'degraded');
+  assert.ok(body.startupCompletedAt);
+  assert.deepEqual(body.stalePrices, MARKETS);
+});
+
+test('health is ok until a price is more than 2 minutes old', async () => {
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-10-19T00:00:00Z') });
+  try {
+    for (const market of MARKETS) recordPriceUpdate(market, 'Kraken');
+    const fresh = await health();
+    assert.equal(fresh.code, 200);
+    assert.equal(fresh.body.status, 'ok');
+    assert.deepEqual(fresh.body.stalePrices, []);
+
+    mock.timers.tick(2 * 60 * 1000);
+    assert.equal((await health()).code, 200);
+
+    mock.timers.tick(1);
+    const { code, body } = await health();
+    assert.equal(code, 503);
+    assert.deepEqual(body.stalePrices, MARKETS);
+  } finally {
+    mock.timers.reset();
+  }
+});